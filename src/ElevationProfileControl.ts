@@ -0,0 +1,239 @@
+import { bindAll, DOMcreate, DOMremove } from "./tools";
+
+import { Map } from "./Map";
+import { Marker } from "./Marker";
+import maplibregl from "maplibre-gl";
+import type { Feature, LineString } from "geojson";
+import type { ElevationProfile, ElevationProfileOptions } from "./elevation";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Options of the `ElevationProfileControl`
+ */
+export type ElevationProfileControlOptions = ElevationProfileOptions & {
+  /**
+   * Line along which the elevation profile is computed. Can also be defined later with `.setLineString()`
+   */
+  lineString?: LineString | Feature<LineString>;
+
+  /**
+   * Width of the chart in pixels. (default: `300`)
+   */
+  width?: number;
+
+  /**
+   * Height of the chart in pixels. (default: `120`)
+   */
+  height?: number;
+
+  /**
+   * Color of the profile. (default: `"#3174ff"`)
+   */
+  color?: string;
+};
+
+/**
+ * An `ElevationProfileControl` displays the elevation profile along a line as a chart.
+ * Hovering the chart shows the corresponding location on the map with a marker.
+ */
+export class ElevationProfileControl implements maplibregl.IControl {
+  _map: Map;
+  _container: HTMLElement;
+  _svg: SVGSVGElement;
+  _cursor: SVGLineElement;
+  _summary: HTMLElement;
+  _marker: Marker;
+  _options: ElevationProfileControlOptions;
+  _lineString: LineString | Feature<LineString> | null;
+  _profile: ElevationProfile | null = null;
+
+  constructor(options: ElevationProfileControlOptions = {}) {
+    this._options = {
+      width: 300,
+      height: 120,
+      color: "#3174ff",
+      ...options,
+    };
+    this._lineString = options.lineString ?? null;
+    bindAll(["_onMouseMove", "_onMouseLeave"], this);
+  }
+
+  onAdd(map: Map) {
+    this._map = map;
+    this._container = DOMcreate(
+      "div",
+      "maplibregl-ctrl maplibregl-ctrl-group maplibregl-ctrl-elevation-profile"
+    );
+
+    this._svg = window.document.createElementNS(SVG_NAMESPACE, "svg");
+    this._svg.setAttribute("width", this._options.width.toString());
+    this._svg.setAttribute("height", this._options.height.toString());
+    this._svg.setAttribute(
+      "viewBox",
+      `0 0 ${this._options.width} ${this._options.height}`
+    );
+    this._container.appendChild(this._svg);
+    this._summary = DOMcreate(
+      "div",
+      "maplibregl-ctrl-elevation-profile-summary",
+      this._container
+    );
+
+    this._svg.addEventListener("mousemove", this._onMouseMove);
+    this._svg.addEventListener("mouseleave", this._onMouseLeave);
+
+    if (this._lineString) {
+      this.setLineString(this._lineString).catch((e) => {
+        console.warn(e.message);
+      });
+    }
+
+    return this._container;
+  }
+
+  onRemove() {
+    this._svg.removeEventListener("mousemove", this._onMouseMove);
+    this._svg.removeEventListener("mouseleave", this._onMouseLeave);
+    this._onMouseLeave();
+    DOMremove(this._container);
+    this._map = undefined;
+  }
+
+  /**
+   * Define the line along which the elevation profile is computed and displayed
+   * @param lineString
+   * @returns
+   */
+  async setLineString(
+    lineString: LineString | Feature<LineString>
+  ): Promise<ElevationProfile | null> {
+    this._lineString = lineString;
+
+    // The profile will be computed when the control is added to a map
+    if (!this._map) {
+      return null;
+    }
+
+    const profile = await this._map.getElevationProfile(
+      lineString,
+      this._options
+    );
+
+    // The line was changed while the profile was being computed
+    if (this._lineString !== lineString || !this._map) {
+      return profile;
+    }
+
+    this._profile = profile;
+    this._drawProfile();
+    return profile;
+  }
+
+  /**
+   * Get the elevation profile currently displayed
+   * @returns
+   */
+  getProfile(): ElevationProfile | null {
+    return this._profile;
+  }
+
+  _toChartX(distance: number): number {
+    return this._profile.distance > 0
+      ? (distance / this._profile.distance) * this._options.width
+      : 0;
+  }
+
+  _toChartY(elevation: number): number {
+    const { minElevation, maxElevation } = this._profile;
+    const range = maxElevation - minElevation || 1;
+    // A margin of 10% at the top and bottom
+    const margin = this._options.height * 0.1;
+    const drawableHeight = this._options.height - 2 * margin;
+    return margin + (1 - (elevation - minElevation) / range) * drawableHeight;
+  }
+
+  _drawProfile() {
+    while (this._svg.firstChild) {
+      this._svg.removeChild(this._svg.firstChild);
+    }
+
+    const linePath = this._profile.points
+      .map(
+        (point, i) =>
+          `${i === 0 ? "M" : "L"}${this._toChartX(
+            point.distance
+          )},${this._toChartY(point.elevation)}`
+      )
+      .join(" ");
+
+    const area = window.document.createElementNS(SVG_NAMESPACE, "path");
+    area.setAttribute(
+      "d",
+      `${linePath} L${this._options.width},${this._options.height} L0,${this._options.height} Z`
+    );
+    area.setAttribute("fill", this._options.color);
+    area.setAttribute("fill-opacity", "0.2");
+    this._svg.appendChild(area);
+
+    const line = window.document.createElementNS(SVG_NAMESPACE, "path");
+    line.setAttribute("d", linePath);
+    line.setAttribute("fill", "none");
+    line.setAttribute("stroke", this._options.color);
+    line.setAttribute("stroke-width", "2");
+    this._svg.appendChild(line);
+
+    this._cursor = window.document.createElementNS(SVG_NAMESPACE, "line");
+    this._cursor.setAttribute("y1", "0");
+    this._cursor.setAttribute("y2", this._options.height.toString());
+    this._cursor.setAttribute("stroke", "#444952");
+    this._cursor.setAttribute("visibility", "hidden");
+    this._svg.appendChild(this._cursor);
+
+    const { ascent, descent, minElevation, maxElevation } = this._profile;
+    this._summary.textContent = `↗ ${Math.round(ascent)} ↘ ${Math.round(
+      descent
+    )} · ${Math.round(minElevation)} – ${Math.round(maxElevation)}`;
+  }
+
+  _onMouseMove(e: MouseEvent) {
+    if (!this._profile) {
+      return;
+    }
+
+    const rect = this._svg.getBoundingClientRect();
+    const ratio = Math.min(
+      Math.max((e.clientX - rect.left) / rect.width, 0),
+      1
+    );
+    const points = this._profile.points;
+    const point = points[Math.round(ratio * (points.length - 1))];
+    const x = this._toChartX(point.distance).toString();
+
+    this._cursor.setAttribute("x1", x);
+    this._cursor.setAttribute("x2", x);
+    this._cursor.setAttribute("visibility", "visible");
+    this._svg.setAttribute(
+      "aria-label",
+      `${Math.round(point.distance)}: ${Math.round(point.elevation)}`
+    );
+
+    if (!this._marker) {
+      this._marker = new Marker({ color: this._options.color });
+      this._marker.setLngLat(point.lngLat).addTo(this._map);
+    } else {
+      this._marker.setLngLat(point.lngLat);
+    }
+  }
+
+  _onMouseLeave() {
+    if (this._cursor) {
+      this._cursor.setAttribute("visibility", "hidden");
+    }
+
+    if (this._marker) {
+      this._marker.remove();
+      this._marker = null;
+    }
+  }
+}
@@ -10,29 +10,85 @@ import type {
   RasterDEMSourceSpecification,
   TerrainSpecification,
   MapTerrainEvent,
+  LngLatLike,
+  LngLatBoundsLike,
+  ResourceType,
+  SourceSpecification,
+  LayerSpecification,
+  CustomLayerInterface,
+  StyleImageMetadata,
+  MapEventType,
+  JumpToOptions,
 } from "maplibre-gl";
-import { v4 as uuidv4 } from "uuid";
 import { ReferenceMapStyle, MapStyleVariant } from "@maptiler/client";
 import { config, SdkConfig } from "./config";
+import type { Unit } from "./unit";
 import { defaults } from "./defaults";
 import { MaptilerLogoControl } from "./MaptilerLogoControl";
 import { enableRTL } from "./tools";
 import {
+  getAvailableLanguages,
   getBrowserLanguage,
+  hasLanguageCoverage,
   isLanguageSupported,
   setPrimaryLanguage,
   setSecondaryLanguage,
   Language,
   LanguageString,
+  LanguageFallbackChain,
+  LanguageScopeOptions,
+  SecondaryLanguageOptions,
 } from "./language";
-import { styleToStyle } from "./mapstyle";
+import {
+  styleToStyle,
+  styleToStyleReference,
+  copyUserLayers,
+  resolveLayerAnchor,
+  LayerAnchor,
+  getStyleError,
+  findClosestStyleId,
+} from "./mapstyle";
+import { MapStateHash, parseStateHash } from "./MapStateHash";
+import { MapTheme, getThemedPaint } from "./theme";
+import { registerCacheProtocol, toCacheProtocolURL } from "./cache";
+import { registerProtocols, resolveMaptilerProtocolURL } from "./protocols";
+import {
+  RequestInterceptor,
+  RequestTransformer,
+  applyRequestInterceptors,
+  fetchRequest,
+  isMaptilerURL,
+  toMaptilerRequestURL,
+  toMaptilerURL,
+  withoutCredentials,
+  MAPTILER_SESSION_ID,
+} from "./requests";
 import { MaptilerTerrainControl } from "./MaptilerTerrainControl";
+import { MaptilerLanguageControl } from "./MaptilerLanguageControl";
 import { MaptilerNavigationControl } from "./MaptilerNavigationControl";
 import { geolocation } from "@maptiler/client";
 import { MaptilerGeolocateControl } from "./MaptilerGeolocateControl";
 import { AttributionControl } from "./AttributionControl";
 import { ScaleControl } from "./ScaleControl";
 import { FullscreenControl } from "./FullscreenControl";
+import {
+  ElevationQueryOptions,
+  ElevationProfileOptions,
+  ElevationProfile,
+  elevationToUnit,
+  fetchElevations,
+  getElevationFromLoadedTiles,
+  sampleLineString,
+  computeElevationProfile,
+} from "./elevation";
+import type { Feature, LineString } from "geojson";
+import {
+  MapState,
+  MapControlName,
+  MapControlNames,
+  encodeMapState,
+  decodeMapState,
+} from "./mapstate";
 
 function sleepAsync(ms: number) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -47,6 +103,15 @@ export type LoadWithTerrainEvent = {
   };
 };
 
+/**
+ * Style given to a map: a MapTiler style (eg. `MapStyle.STREETS` or `"streets-v2"`), a style URL or a style object
+ */
+export type MapStyleInput =
+  | ReferenceMapStyle
+  | MapStyleVariant
+  | StyleSpecification
+  | string;
+
 // StyleSwapOptions is not exported by Maplibre, but we can redefine it (used for setStyle)
 export type TransformStyleFunction = (
   previous: StyleSpecification,
@@ -56,9 +121,63 @@ export type TransformStyleFunction = (
 export type StyleSwapOptions = {
   diff?: boolean;
   transformStyle?: TransformStyleFunction;
+
+  /**
+   * Keeps the layers and sources that were added to the previous style, below the same layers of the new style
+   * when it has them, or on top otherwise. (default: `false`)
+   */
+  keepUserLayers?: boolean;
+};
+
+/**
+ * Options of the sources, layers and images added to the map
+ */
+export type OverlayOptions = {
+  /**
+   * Adds it again whenever the style changes, so that it stays on the map. (default: `false`)
+   */
+  overlay?: boolean;
 };
 
-const MAPTILER_SESSION_ID = uuidv4();
+type OverlayLayer = {
+  layer: LayerSpecification | CustomLayerInterface;
+
+  /**
+   * Layer below which the overlay layer is added again, if the new style has it, otherwise it is added on top.
+   * An anchor is resolved again for each style.
+   */
+  beforeId?: string | LayerAnchor;
+};
+
+type OverlayImage = {
+  image: Parameters<maplibregl.Map["addImage"]>[1];
+  options: Partial<StyleImageMetadata>;
+};
+
+/**
+ * Options to download a region for offline use
+ */
+export type DownloadRegionOptions = {
+  /**
+   * Bounding box of the region. It crosses the antimeridian when its east edge is beyond 180° or lower than its west edge.
+   */
+  bounds: LngLatBoundsLike;
+
+  /**
+   * Minimum zoom level to download. (default: `0`)
+   */
+  minZoom?: number;
+
+  /**
+   * Maximum zoom level to download. (default: the current zoom level of the map, rounded up)
+   */
+  maxZoom?: number;
+
+  /**
+   * Called after each downloaded tile
+   */
+  onProgress?: (downloaded: number, total: number) => void;
+};
 
 export const GeolocationType: {
   POINT: "POINT";
@@ -68,6 +187,207 @@ export const GeolocationType: {
   COUNTRY: "COUNTRY",
 } as const;
 
+/**
+ * Definition of a custom raster-dem source to be used for the 3D terrain.
+ * All the properties of a MapLibre raster-dem source can be used (`url`, `tiles`, `encoding`, `tileSize`, etc.)
+ * with the addition of the `id` of the source.
+ */
+export type TerrainSourceSpecification = Omit<
+  RasterDEMSourceSpecification,
+  "type"
+> & {
+  /**
+   * Identifier of the source in the style. (default: `"maptiler-terrain"`)
+   * If neither `url` nor `tiles` are provided, then a raster-dem source with this id is expected to already
+   * be part of the style and it will be used as is (not added nor removed by the SDK).
+   */
+  id?: string;
+};
+
+/**
+ * Source of the 3D terrain. Can be:
+ * - a TileJSON URL (eg. `"https://example.com/terrain/tiles.json"`)
+ * - a tile URL template (eg. `"https://example.com/terrain/{z}/{x}/{y}.png"`)
+ * - a raster-dem source definition, possibly with `encoding` and `tileSize`
+ */
+export type TerrainSource = string | TerrainSourceSpecification;
+
+type ResolvedTerrainSource = {
+  /**
+   * ID of the source in the style
+   */
+  id: string;
+
+  /**
+   * Definition of the source to add to the style, or `null` if the source is expected to be part of the style already
+   */
+  spec: RasterDEMSourceSpecification | null;
+};
+
+/**
+ * Converts a terrain source, as provided by the user, into a source id and a raster-dem specification
+ */
+function resolveTerrainSource(source?: TerrainSource): ResolvedTerrainSource {
+  const defaultSpec: RasterDEMSourceSpecification = {
+    type: "raster-dem",
+    url: defaults.terrainSourceURL,
+  };
+
+  if (!source) {
+    return { id: defaults.terrainSourceId, spec: defaultSpec };
+  }
+
+  if (typeof source === "string") {
+    // A URL containing the tile index placeholders is a tile template,
+    // otherwise it is expected to be the URL of a TileJSON
+    const isTileTemplate = source.includes("{z}");
+
+    return {
+      id: defaults.terrainSourceId,
+      spec: isTileTemplate
+        ? { type: "raster-dem", tiles: [source] }
+        : { type: "raster-dem", url: source },
+    };
+  }
+
+  const { id = defaults.terrainSourceId, ...sourceProps } = source;
+
+  if (sourceProps.url || sourceProps.tiles) {
+    return { id, spec: { ...sourceProps, type: "raster-dem" } };
+  }
+
+  // No location for the tiles, but still the default MapTiler id,
+  // so the provided properties are only tweaking the MapTiler terrain
+  if (id === defaults.terrainSourceId) {
+    return { id, spec: { ...defaultSpec, ...sourceProps } };
+  }
+
+  return { id, spec: null };
+}
+
+/**
+ * Options of the animation that is running when the terrain is enabled, disabled
+ * or when its exaggeration changes
+ */
+export type TerrainAnimationOptions = {
+  /**
+   * Duration of the animation in milliseconds. (default: `1000`)
+   */
+  duration?: number;
+
+  /**
+   * Easing function taking the normalized time of the animation (in [0, 1])
+   * and returning the normalized progress of the exaggeration (in [0, 1]).
+   * (default: quartic ease-out)
+   */
+  easing?: (t: number) => number;
+};
+
+/**
+ * Result of a terrain animation, given by the promises of `.enableTerrain()`, `.disableTerrain()`
+ * and `.setTerrainExaggeration()`
+ */
+export type TerrainAnimationResult = {
+  /**
+   * `true` if the animation was stopped before its end (eg. by a call to `.disableTerrain()`
+   * while the terrain is growing), `false` if it completed
+   */
+  interrupted: boolean;
+};
+
+/**
+ * Event fired when a terrain animation starts (`"terrainAnimationstart"`)
+ * and when it ends (`"terrainAnimationend"`)
+ */
+export type TerrainAnimationEvent = {
+  type: "terrainAnimationstart" | "terrainAnimationend";
+  target: Map;
+
+  /**
+   * Exaggeration at the begining of the animation
+   */
+  from: number;
+
+  /**
+   * Targeted exaggeration
+   */
+  to: number;
+
+  /**
+   * Exaggeration at the moment the event is fired
+   */
+  exaggeration: number;
+
+  /**
+   * `true` if the animation was stopped before reaching its target
+   */
+  interrupted: boolean;
+};
+
+/**
+ * Event fired when the primary or secondary language of a map changes (`"languagechange"`),
+ * whether it was defined for this map or followed from the global config
+ */
+export type LanguageChangeEvent = {
+  type: "languagechange";
+  target: Map;
+
+  /**
+   * The language that changed
+   */
+  kind: "primary" | "secondary";
+  oldValue: LanguageString | LanguageFallbackChain | null;
+  newValue: LanguageString | LanguageFallbackChain | null;
+};
+
+/**
+ * Event fired when none of the labels in view has a name in the primary or secondary language
+ * (`"languagemissing"`), for instance because the tiles of the style do not include this language
+ */
+export type LanguageMissingEvent = {
+  type: "languagemissing";
+  target: Map;
+
+  /**
+   * The language that is missing
+   */
+  kind: "primary" | "secondary";
+  language: LanguageString | LanguageFallbackChain;
+};
+
+/**
+ * Event fired when the style given to a map is not valid or cannot be loaded (`"styleerror"`),
+ * for instance because of a misspelled style ID
+ */
+export type StyleErrorEvent = {
+  type: "styleerror";
+  target: Map;
+
+  /**
+   * Why the style cannot be shown
+   */
+  reason: string;
+
+  /**
+   * The style that was given
+   */
+  style: MapStyleInput | null | undefined;
+
+  /**
+   * The error reported by Maplibre, when the style could not be loaded
+   */
+  error?: Error;
+
+  /**
+   * Whether the fallback style (see the option `fallbackStyle`) is loaded instead
+   */
+  fallback: boolean;
+};
+
+function easeOutQuart(t: number): number {
+  return 1 - Math.pow(1 - t, 4);
+}
+
 type MapTerrainDataEvent = MapDataEvent & {
   isSourceLoaded: boolean;
   tile: Tile;
@@ -85,21 +405,48 @@ export type MapOptions = Omit<MapOptionsML, "style" | "maplibreLogo"> & {
    * - a shorthand with only the MapTIler style name (eg. `"streets-v2"`)
    * - a longer form with the prefix `"maptiler://"` (eg. `"maptiler://streets-v2"`)
    */
-  style?: ReferenceMapStyle | MapStyleVariant | StyleSpecification | string;
+  style?: MapStyleInput;
+
+  /**
+   * Style loaded instead of a style that is not valid or cannot be loaded (see the event `"styleerror"`).
+   * With `true`, this is the default MapTiler style. (default: `false`, nothing is shown)
+   */
+  fallbackStyle?: MapStyleInput | boolean;
 
   /**
    * Define the language of the map. This can be done directly with a language ISO code (eg. "en")
    * or with a built-in shorthand (eg. Language.ENGLISH).
-   * Note that this is equivalent to setting the `config.primaryLanguage` and will overwrite it.
+   * This can also be a fallback chain (eg. `["rm", "de", "fr", Language.LATIN]`), so that each label
+   * displays the first language available, or the local name if none is available.
+   * This applies to this map only, the global `config.primaryLanguage` is left untouched.
    */
-  language?: LanguageString;
+  language?: LanguageString | LanguageFallbackChain;
 
   /**
-   * Define the MapTiler Cloud API key to be used. This is strictly equivalent to setting
-   * `config.apiKey` and will overwrite it.
+   * Define the MapTiler Cloud API key to be used by this map only.
+   * The global `config.apiKey` is left untouched and is used when this option is not provided.
    */
   apiKey?: string;
 
+  /**
+   * Define the unit system of this map (scale control, elevations).
+   * The global `config.unit` is used when this option is not provided.
+   */
+  unit?: Unit;
+
+  /**
+   * Define whether the requests of this map are made with the session logic (see `config.session`).
+   * The global `config.session` is used when this option is not provided.
+   */
+  session?: boolean;
+
+  /**
+   * Interceptors for the requests of this map. They can rewrite URLs or add headers and are applied
+   * after the built-in MapTiler logic (API key and session) and after the global interceptors
+   * (see `config.addRequestInterceptor()`). The `transformRequest` function, if provided, is applied last.
+   */
+  requestInterceptors?: Array<RequestInterceptor>;
+
   /**
    * Shows or hides the MapTiler logo in the bottom left corner.
    *
@@ -114,14 +461,28 @@ export type MapOptions = Omit<MapOptionsML, "style" | "maplibreLogo"> & {
 
   /**
    * Enables 3D terrain if `true`. (default: `false`)
+   * Instead of a boolean, a custom raster-dem source can be provided to enable the terrain with it,
+   * either as a TileJSON URL, a tile URL template or a source definition (with `encoding`, `tileSize`, etc.).
+   * When `true`, the MapTiler terrain is used.
    */
-  terrain?: boolean;
+  terrain?: boolean | TerrainSource;
 
   /**
    * Exaggeration factor of the terrain. (default: `1`, no exaggeration)
    */
   terrainExaggeration?: number;
 
+  /**
+   * Keeps the URL hash in sync with the state of the map. Unlike the `hash` option (from MapLibre) that only contains
+   * the camera, this hash also contains the style, the primary and secondary languages and the terrain exaggeration
+   * (eg. `#map=12/45.83/6.86/0/60&style=outdoor-v2&lang=fr&terrain=1.5`).
+   * When the page is loaded with such hash, the map is created with this state, prevailing over the other options.
+   * Only a MapTiler style is part of the hash: by its ID, or by its URL without the API key and session ID.
+   * If a string is provided, it is used as the name of the camera parameter instead of `map`.
+   * If enabled, the `hash` option is ignored. (default: `false`)
+   */
+  stateHash?: boolean | string;
+
   /**
    * Show the navigation control. (default: `true`, will hide if `false`)
    */
@@ -147,6 +508,11 @@ export type MapOptions = Omit<MapOptionsML, "style" | "maplibreLogo"> & {
    */
   fullscreenControl?: boolean | ControlPosition;
 
+  /**
+   * Show the language control. (default: `false`, will show if `true`)
+   */
+  languageControl?: boolean | ControlPosition;
+
   /**
    * Method to position the map at a given geolocation. Only if:
    * - `hash` is `false`
@@ -175,67 +541,195 @@ export type MapOptions = Omit<MapOptionsML, "style" | "maplibreLogo"> & {
 export class Map extends maplibregl.Map {
   private isTerrainEnabled = false;
   private terrainExaggeration = 1;
-  private primaryLanguage: LanguageString | null = null;
+  private primaryLanguage: LanguageString | LanguageFallbackChain | null = null;
   private secondaryLanguage: LanguageString | null = null;
-  private terrainGrowing = false;
-  private terrainFlattening = false;
+  private primaryLanguageScope: LanguageScopeOptions = {};
+  private secondaryLanguageOptions: SecondaryLanguageOptions = {};
+  private terrainAnimationInterrupt: (() => void) | null = null;
+  private terrainSource: ResolvedTerrainSource = resolveTerrainSource();
+  private isTerrainSourceAdded = false;
+  private styleReference: string | null = null;
+  private stateHash: MapStateHash | null = null;
+  private sdkConfig: SdkConfig;
+  private interceptRequest: RequestTransformer;
+  private originalTextFields: { [layerId: string]: unknown } = {};
+  private styleLayerIds: Array<string> | null = null;
+  private theme: MapTheme | null = null;
+  private originalPaint: {
+    [layerId: string]: { [property: string]: unknown };
+  } = {};
+  private overlays: {
+    sources: { [id: string]: SourceSpecification };
+    layers: Array<OverlayLayer>;
+    images: { [id: string]: OverlayImage };
+  } = { sources: {}, layers: [], images: {} };
+  private styleSourceIds: Array<string> = [];
+  private fallbackStyle: MapStyleInput | boolean = false;
+  private stopStyleWatch: (() => void) | null = null;
+  private isLanguageCheckPending = false;
+  private isStyleRecordPending = true;
+  private replacedStylesheet: StyleSpecification | null = null;
+  private hasStyleFailed = false;
+  private isRemoving = false;
+  private keptUserLayers: {
+    previous: StyleSpecification;
+    styleLayerIds: Array<string>;
+    styleSourceIds: Array<string>;
+  } | null = null;
+  private warnedMissingLanguages = new Set<string>();
+  private controls: {
+    [name in MapControlName]?: {
+      control: maplibregl.IControl;
+      position: ControlPosition;
+    };
+  } = {};
 
   constructor(options: MapOptions) {
+    // The config of this map inherits the global config, except for what is defined in the options
+    const sdkConfig = new SdkConfig(config);
+
     if (options.apiKey) {
-      config.apiKey = options.apiKey;
+      sdkConfig.apiKey = options.apiKey;
+    }
+
+    if (options.unit) {
+      sdkConfig.unit = options.unit;
     }
 
-    const style = styleToStyle(options.style);
+    if (options.session !== undefined) {
+      sdkConfig.session = options.session;
+    }
+
+    options.requestInterceptors?.forEach((interceptor) =>
+      sdkConfig.addRequestInterceptor(interceptor)
+    );
+
     const hashPreConstructor = location.hash;
 
-    if (!config.apiKey) {
+    // The state found in the SDK hash prevails over the options
+    const stateHashName = options.stateHash
+      ? typeof options.stateHash === "string"
+        ? options.stateHash
+        : defaults.stateHashName
+      : null;
+    const hashState = stateHashName
+      ? parseStateHash(hashPreConstructor, stateHashName, sdkConfig) ?? {}
+      : {};
+
+    options = {
+      ...options,
+      center: hashState.center ?? options.center,
+      zoom: hashState.zoom ?? options.zoom,
+      bearing: hashState.bearing ?? options.bearing,
+      pitch: hashState.pitch ?? options.pitch,
+      style: hashState.style ?? options.style,
+      language: hashState.primaryLanguage ?? options.language,
+      hash: stateHashName ? false : options.hash,
+    };
+
+    if (hashState.terrain === false) {
+      options.terrain = false;
+    } else if (hashState.terrain) {
+      options.terrain = options.terrain || true;
+      options.terrainExaggeration = hashState.terrainExaggeration;
+    }
+
+    // The languages defined for this map prevail over the ones of the global config
+    if (options.language) {
+      sdkConfig.primaryLanguage = options.language;
+    }
+
+    if (hashState.secondaryLanguage) {
+      sdkConfig.secondaryLanguage = hashState.secondaryLanguage;
+    }
+
+    // A style that is not valid is not loaded (see the "styleerror" event fired below)
+    const styleError = getStyleError(options.style);
+    const style = styleError ? undefined : styleToStyle(options.style);
+
+    // Behind an API URL (eg. a proxy), the API key is not needed
+    if (!sdkConfig.apiKey && !sdkConfig.apiURL) {
       console.warn(
         "MapTiler Cloud API key is not set. Visit https://maptiler.com and try Cloud for free!"
       );
     }
 
+    // The transformRequest function from the options is the last interceptor
+    const transformRequestInterceptor: RequestInterceptor = (
+      request,
+      resourceType
+    ) => {
+      if (!options.transformRequest) {
+        return;
+      }
+
+      const transformed = options.transformRequest(request.url, resourceType);
+
+      return {
+        ...request,
+        ...transformed,
+        headers: { ...request.headers, ...transformed?.headers },
+      };
+    };
+
+    // The requests made by the SDK itself (eg. the elevation tiles) follow the same logic as the ones of Maplibre
+    const interceptRequest: RequestTransformer = (url, resourceType) => {
+      // The built-in MapTiler logic comes first...
+      // (relative URLs are kept as they are, to be locally resolved with a potential base path,
+      // and the maptiler:// URLs are resolved with the config of this map rather than by the protocol)
+      const reqUrl = toMaptilerRequestURL(
+        resolveMaptilerProtocolURL(url),
+        sdkConfig
+      );
+
+      // ... then the global interceptors and the interceptors of this map
+      return applyRequestInterceptors(
+        { url: reqUrl, headers: {} },
+        resourceType,
+        [...sdkConfig.requestInterceptors, transformRequestInterceptor]
+      );
+    };
+
+    // The sources of the style can be tile archives (pmtiles:// and mbtiles://)
+    registerProtocols();
+
     // calling the map constructor with full length style
     super({
       ...options,
       style,
       maplibreLogo: false,
 
-      transformRequest: (url: string) => {
-        let reqUrl = null;
-
-        try {
-          // The URL is expected to be absolute.
-          // Yet, if it's local we just return it without assuming a 'base' url (in the URL constructor)
-          // and we let the URL be locally resolved with a potential base path.
-          reqUrl = new URL(url);
-        } catch (e) {
-          return {
-            url,
-            headers: {},
-          };
-        }
-
-        if (reqUrl.host === defaults.maptilerApiHost) {
-          if (!reqUrl.searchParams.has("key")) {
-            reqUrl.searchParams.append("key", config.apiKey);
-          }
+      transformRequest: (url: string, resourceType?: ResourceType) => {
+        const request = interceptRequest(url, resourceType);
 
-          if (config.session) {
-            reqUrl.searchParams.append("mtsid", MAPTILER_SESSION_ID);
-          }
+        // Routing the MapTiler requests through the cache
+        if (sdkConfig.cache && isMaptilerURL(request.url, sdkConfig)) {
+          registerCacheProtocol();
+          request.url = toCacheProtocolURL(request.url);
         }
 
-        return {
-          url: reqUrl.href,
-          headers: {},
-        };
+        return request;
       },
     });
 
-    this.primaryLanguage = options.language ?? config.primaryLanguage;
-    this.secondaryLanguage = config.secondaryLanguage;
+    this.sdkConfig = sdkConfig;
+    this.interceptRequest = interceptRequest;
+    this.styleReference = styleToStyleReference(options.style);
+    this.primaryLanguage = sdkConfig.primaryLanguage;
+    this.secondaryLanguage = sdkConfig.secondaryLanguage;
     this.terrainExaggeration =
       options.terrainExaggeration ?? this.terrainExaggeration;
+    this.fallbackStyle = options.fallbackStyle ?? this.fallbackStyle;
+
+    // The initial style was given to the Maplibre constructor
+    if (styleError) {
+      // (once the listeners of the map could be added)
+      sleepAsync(0).then(() =>
+        this.handleStyleError(options.style, styleError, false)
+      );
+    } else {
+      this.watchStyleLoading(options.style, false);
+    }
 
     // Map centering and geolocation
     this.once("styledata", async () => {
@@ -252,7 +746,7 @@ export class Map extends maplibregl.Map {
       }
 
       // ... the hash option is enabled and a hash is present in the URL
-      if (options.hash && !!hashPreConstructor) {
+      if ((options.hash || stateHashName) && !!hashPreConstructor) {
         return;
       }
 
@@ -327,10 +821,62 @@ export class Map extends maplibregl.Map {
       }
     });
 
+    // The layers and sources of a new style, to tell them apart from the ones added afterward,
+    // and the user layers of the previous style that are kept (see the option `keepUserLayers`)
+    this.on("styledata", () => {
+      const stylesheet = this.style?.stylesheet;
+
+      if (
+        !this.isStyleRecordPending ||
+        !stylesheet ||
+        stylesheet === this.replacedStylesheet
+      ) {
+        return;
+      }
+
+      this.isStyleRecordPending = false;
+      this.styleLayerIds = stylesheet.layers.map((layer) => layer.id);
+      this.styleSourceIds = Object.keys(stylesheet.sources);
+
+      // A terrain source with the same ID in the new style is not the one added by the SDK
+      if (this.styleSourceIds.indexOf(this.terrainSource.id) !== -1) {
+        this.isTerrainSourceAdded = false;
+      }
+
+      if (this.keptUserLayers) {
+        const keptUserLayers = this.keptUserLayers;
+        this.keptUserLayers = null;
+        this.addKeptUserLayers(keptUserLayers);
+      }
+    });
+
+    // The overlays that the new style does not have are added again
+    this.on("styledata", () => {
+      this.restoreOverlays();
+    });
+
+    // The theme applies to the layers of a new style and to the layers added afterward
+    this.on("styledata", () => {
+      this.themeLayers();
+    });
+
     // If the config includes language changing, we must update the map language
     this.on("styledata", () => {
-      this.setPrimaryLanguage(this.primaryLanguage);
-      this.setSecondaryLanguage(this.secondaryLanguage);
+      // The labels of the new layers are saved before being changed
+      this.snapshotTextFields();
+
+      if (this.primaryLanguage === Language.STYLE_LOCK) {
+        return;
+      }
+
+      this.applyPrimaryLanguage(
+        this.primaryLanguage,
+        this.primaryLanguageScope
+      );
+      this.applySecondaryLanguage(
+        this.secondaryLanguage,
+        this.secondaryLanguageOptions
+      );
     });
 
     // this even is in charge of reaplying the terrain elevation after the
@@ -344,9 +890,44 @@ export class Map extends maplibregl.Map {
       }
     });
 
+    // The languages follow the config, unless they were defined for this map only.
+    // (the changes made by this map are also emitted, but the language is then already applied)
+    this.sdkConfig.on("primaryLanguage", (language) => {
+      if (language !== this.primaryLanguage) {
+        this.applyPrimaryLanguage(language, this.primaryLanguageScope);
+      }
+    });
+
+    this.sdkConfig.on("secondaryLanguage", (language) => {
+      if (language !== this.secondaryLanguage) {
+        this.applySecondaryLanguage(language, this.secondaryLanguageOptions);
+      }
+    });
+
+    // The languages are checked against the labels in view once the map is idle
+    this.on("moveend", () => {
+      this.isLanguageCheckPending = true;
+    });
+
+    this.on("idle", () => {
+      if (this.isLanguageCheckPending) {
+        this.isLanguageCheckPending = false;
+        this.checkLanguageCoverage();
+      }
+    });
+
+    // The scale control follows the unit system of the config
+    this.sdkConfig.on("unit", (unit) => {
+      const scaleControl = this.controls.scaleControl;
+
+      if (scaleControl) {
+        (scaleControl.control as ScaleControl).setUnit(unit);
+      }
+    });
+
     // load the Right-to-Left text plugin (will happen only once)
     this.once("load", async () => {
-      enableRTL();
+      enableRTL(toMaptilerURL(defaults.rtlPluginURL, this.sdkConfig));
     });
 
     // Update logo and attibution
@@ -361,15 +942,12 @@ export class Map extends maplibregl.Map {
               typeof s.url === "string" && s.url.includes("tiles.json")
           );
 
-        const styleUrl = new URL(
-          (possibleSources[0] as maplibregl.VectorTileSource).url
+        const tileJsonRes = await fetchRequest(
+          this.interceptRequest(
+            (possibleSources[0] as maplibregl.VectorTileSource).url,
+            "Source" as ResourceType
+          )
         );
-
-        if (!styleUrl.searchParams.has("key")) {
-          styleUrl.searchParams.append("key", config.apiKey);
-        }
-
-        const tileJsonRes = await fetch(styleUrl.href);
         tileJsonContent = await tileJsonRes.json();
       } catch (e) {
         // No tiles.json found (should not happen on maintained styles)
@@ -404,11 +982,7 @@ export class Map extends maplibregl.Map {
             : options.scaleControl
         ) as ControlPosition;
 
-        const scaleControl = new ScaleControl({ unit: config.unit });
-        this.addControl(scaleControl, position);
-        config.on("unit", (unit) => {
-          scaleControl.setUnit(unit);
-        });
+        this.setControlVisibility("scaleControl", position);
       }
 
       if (options.navigationControl !== false) {
@@ -419,7 +993,7 @@ export class Map extends maplibregl.Map {
             ? "top-right"
             : options.navigationControl
         ) as ControlPosition;
-        this.addControl(new MaptilerNavigationControl(), position);
+        this.setControlVisibility("navigationControl", position);
       }
 
       if (options.geolocateControl !== false) {
@@ -431,23 +1005,7 @@ export class Map extends maplibregl.Map {
             : options.geolocateControl
         ) as ControlPosition;
 
-        this.addControl(
-          // new maplibregl.GeolocateControl({
-          new MaptilerGeolocateControl({
-            positionOptions: {
-              enableHighAccuracy: true,
-              maximumAge: 0,
-              timeout: 6000 /* 6 sec */,
-            },
-            fitBoundsOptions: {
-              maxZoom: 15,
-            },
-            trackUserLocation: true,
-            showAccuracyCircle: true,
-            showUserLocation: true,
-          }),
-          position
-        );
+        this.setControlVisibility("geolocateControl", position);
       }
 
       if (options.terrainControl) {
@@ -458,7 +1016,7 @@ export class Map extends maplibregl.Map {
             ? "top-right"
             : options.terrainControl
         ) as ControlPosition;
-        this.addControl(new MaptilerTerrainControl(), position);
+        this.setControlVisibility("terrainControl", position);
       }
 
       // By default, no fullscreen control
@@ -471,7 +1029,18 @@ export class Map extends maplibregl.Map {
             : options.fullscreenControl
         ) as ControlPosition;
 
-        this.addControl(new FullscreenControl({}), position);
+        this.setControlVisibility("fullscreenControl", position);
+      }
+
+      // By default, no language control
+      if (options.languageControl) {
+        const position = (
+          options.languageControl === true
+            ? "top-right"
+            : options.languageControl
+        ) as ControlPosition;
+
+        this.setControlVisibility("languageControl", position);
       }
     });
 
@@ -509,14 +1078,34 @@ export class Map extends maplibregl.Map {
 
     this.on("terrain", terrainCallback);
 
+    if (stateHashName) {
+      this.stateHash = new MapStateHash(stateHashName, this.sdkConfig);
+      this.stateHash.addTo(this);
+    }
+
     // enable 3D terrain if provided in options
     if (options.terrain) {
       this.enableTerrain(
-        options.terrainExaggeration ?? this.terrainExaggeration
+        options.terrainExaggeration ?? this.terrainExaggeration,
+        options.terrain === true ? undefined : options.terrain
       );
     }
   }
 
+  /**
+   * Destroys the map and releases all its resources
+   */
+  remove() {
+    if (this.stateHash) {
+      this.stateHash.remove();
+      this.stateHash = null;
+    }
+
+    this.sdkConfig.detach();
+    this.isRemoving = true;
+    super.remove();
+  }
+
   /**
    * Awaits for _this_ Map instance to be "loaded" and returns a Promise to the Map.
    * If _this_ Map instance is already loaded, the Promise is resolved directly,
@@ -560,335 +1149,1658 @@ export class Map extends maplibregl.Map {
    * - a full style URL (possibly with API key)
    * - a shorthand with only the MapTIler style name (eg. `"streets-v2"`)
    * - a longer form with the prefix `"maptiler://"` (eg. `"maptiler://streets-v2"`)
+   *
+   * A style that is not valid is not loaded, the event `"styleerror"` is fired instead. This includes a missing style
+   * (`null` or `undefined`), such as a variant that does not exist (eg. `MapStyle.STREETS.DARKK`).
    * @param style
    * @param options
    * @returns
    */
   setStyle(
-    style: ReferenceMapStyle | MapStyleVariant | StyleSpecification | string,
-    options?: StyleSwapOptions & StyleOptions
+    style: MapStyleInput,
+    options: StyleSwapOptions & StyleOptions = {}
   ) {
-    return super.setStyle(styleToStyle(style), options);
+    // The initial style, set by the Maplibre constructor, is checked by the constructor of this class
+    if (!this.sdkConfig) {
+      return this.swapStyle(style, options);
+    }
+
+    // (Maplibre removes the style when the map is removed)
+    if (this.isRemoving) {
+      return super.setStyle(null);
+    }
+
+    if (style === null || style === undefined) {
+      this.handleStyleError(style, `The style is ${style}`, false);
+      return this;
+    }
+
+    const styleError = getStyleError(style);
+
+    if (styleError) {
+      this.handleStyleError(style, styleError, false);
+      return this;
+    }
+
+    this.watchStyleLoading(style, false);
+    return this.swapStyle(style, options);
+  }
+
+  /**
+   * Reports a style that is not valid or could not be loaded with the event `"styleerror"`,
+   * and loads the fallback style if there is one
+   */
+  private handleStyleError(
+    style: MapStyleInput | null | undefined,
+    reason: string,
+    isFallback: boolean,
+    error?: Error
+  ) {
+    const fallback = !isFallback && this.fallbackStyle !== false;
+
+    if (this.listens("styleerror")) {
+      this.fire("styleerror", { reason, style, error, fallback });
+    } else {
+      // (as Maplibre does with the errors that nothing listens to)
+      console.error(`Style error: ${reason}`);
+    }
+
+    if (!fallback) {
+      return;
+    }
+
+    const fallbackStyle =
+      this.fallbackStyle === true
+        ? null
+        : (this.fallbackStyle as MapStyleInput);
+    const fallbackError = getStyleError(fallbackStyle);
+
+    if (fallbackError) {
+      this.handleStyleError(fallbackStyle, fallbackError, true);
+      return;
+    }
+
+    this.watchStyleLoading(fallbackStyle, true);
+    this.swapStyle(fallbackStyle, {});
+  }
+
+  /**
+   * Reports the errors of the style until it is loaded, such as a style URL that is not found
+   * or a style object that does not follow the style specification
+   */
+  private watchStyleLoading(
+    style: MapStyleInput | null | undefined,
+    isFallback: boolean
+  ) {
+    this.stopStyleWatch?.();
+
+    const onError = (e: MapEventType["error"] & { sourceId?: string }) => {
+      // The errors of the sources are not about the style
+      if (e.sourceId) {
+        // (Maplibre logs the errors that nothing else listens to)
+        this.off("error", onError);
+
+        if (!this.listens("error")) {
+          console.error(e.error);
+        }
+
+        this.on("error", onError);
+        return;
+      }
+
+      this.stopStyleWatch();
+      this.hasStyleFailed = true;
+
+      // (the message of a request error is not part of the reason, since its URL includes the API key)
+      const status = (e.error as Error & { status?: number }).status;
+      const suggestion = findClosestStyleId(style);
+      let reason = status
+        ? `The style could not be loaded (HTTP status ${status})`
+        : `The style could not be loaded: ${e.error.message}`;
+
+      if (suggestion) {
+        reason += `. Did you mean "${suggestion}"?`;
+      }
+
+      this.handleStyleError(style, reason, isFallback, e.error);
+    };
+
+    const onStyleData = () => {
+      this.stopStyleWatch();
+    };
+
+    this.on("error", onError);
+    this.on("styledata", onStyleData);
+
+    this.stopStyleWatch = () => {
+      this.off("error", onError);
+      this.off("styledata", onStyleData);
+      this.stopStyleWatch = null;
+    };
+  }
+
+  /**
+   * Loads a style, keeping the overlays, the theme and the languages
+   */
+  private swapStyle(
+    style: MapStyleInput | null,
+    options: StyleSwapOptions & StyleOptions
+  ) {
+    this.styleReference = styleToStyleReference(style);
+    // The labels of the new style will be saved when it loads
+    this.originalTextFields = {};
+    // The overlays are added again as they are now, with their latest data and properties
+    this.snapshotOverlays();
+    // The colors of the new style will be saved when it loads
+    this.originalPaint = {};
+
+    const { keepUserLayers, ...swapOptions } = options;
+
+    // The user layers are taken from the current style, if it was loaded, with their colors from before the theme
+    const previous =
+      keepUserLayers && this.style?.stylesheet ? this.getStyle() : null;
+
+    this.keptUserLayers = previous
+      ? {
+          previous: {
+            ...previous,
+            layers: previous.layers.map((layer) => this.withoutTheme(layer)),
+          },
+          styleLayerIds: this.styleLayerIds ?? [],
+          styleSourceIds: this.styleSourceIds,
+        }
+      : null;
+
+    // The layers and sources of the new style are recorded once it is set
+    this.isStyleRecordPending = true;
+    this.replacedStylesheet = this.style?.stylesheet ?? null;
+
+    // A style that could not be loaded is removed first, since Maplibre would wait for it to load
+    // before applying a `transformStyle`
+    if (this.hasStyleFailed) {
+      this.hasStyleFailed = false;
+      super.setStyle(null);
+    }
+
+    return super.setStyle(styleToStyle(style), swapOptions);
+  }
+
+  /**
+   * Adds to the new style the layers and sources that were added to the previous one, below the same layers
+   * of the new style when it has them, or on top otherwise
+   */
+  private addKeptUserLayers({
+    previous,
+    styleLayerIds,
+    styleSourceIds,
+  }: {
+    previous: StyleSpecification;
+    styleLayerIds: Array<string>;
+    styleSourceIds: Array<string>;
+  }) {
+    const current = this.getStyle();
+    const merged = copyUserLayers(
+      previous,
+      current,
+      styleLayerIds,
+      styleSourceIds
+    );
+
+    Object.keys(merged.sources).forEach((id) => {
+      if (!(id in current.sources)) {
+        super.addSource(id, merged.sources[id]);
+      }
+    });
+
+    merged.layers.forEach((layer, i) => {
+      if (this.getLayer(layer.id)) {
+        return;
+      }
+
+      const before = merged.layers
+        .slice(i + 1)
+        .find((l) => this.getLayer(l.id));
+
+      super.addLayer(layer, before?.id);
+    });
+  }
+
+  /**
+   * Adds a source to the map. With the option `overlay`, the source is added again whenever the style changes.
+   * @param id
+   * @param source
+   * @param options
+   * @returns
+   */
+  addSource(
+    id: string,
+    source: SourceSpecification,
+    options: OverlayOptions = {}
+  ) {
+    if (options.overlay) {
+      this.overlays.sources[id] = source;
+    }
+
+    return super.addSource(id, source);
+  }
+
+  /**
+   * Removes a source from the map, including from the overlays
+   * @param id
+   * @returns
+   */
+  removeSource(id: string) {
+    delete this.overlays.sources[id];
+    return super.removeSource(id);
+  }
+
+  /**
+   * Adds a layer to the map, on top or below the layer `beforeId`. Instead of a layer id, the position can be
+   * an anchor that works with any style, such as `{ below: "labels" }` or `{ above: "roads" }` (see `LayerAnchor`).
+   * With the option `overlay`, the layer, and its source if defined inline, is added again whenever the style changes:
+   * at the position of the anchor in the new style, below the layer `beforeId` if the new style has it, or on top otherwise.
+   * This also applies to custom layers.
+   * @param layer
+   * @param beforeId
+   * @param options
+   * @returns
+   */
+  addLayer(
+    layer:
+      | (LayerSpecification & { source?: string | SourceSpecification })
+      | CustomLayerInterface,
+    beforeId?: string | LayerAnchor,
+    options: OverlayOptions = {}
+  ) {
+    if (options.overlay) {
+      let overlayLayer = layer as LayerSpecification | CustomLayerInterface;
+
+      // An inline source is registered under the id of the layer, just like MapLibre does
+      if ("source" in layer && typeof layer.source === "object") {
+        this.overlays.sources[layer.id] = layer.source;
+        overlayLayer = { ...layer, source: layer.id } as LayerSpecification;
+      }
+
+      this.overlays.layers = this.overlays.layers.filter(
+        (entry) => entry.layer.id !== layer.id
+      );
+      this.overlays.layers.push({ layer: overlayLayer, beforeId });
+    }
+
+    return super.addLayer(layer, this.resolveBeforeId(beforeId));
+  }
+
+  /**
+   * Finds the id of the layer below which a layer is added, from a layer id or an anchor.
+   * `undefined` means on top.
+   */
+  private resolveBeforeId(
+    beforeId: string | LayerAnchor | undefined
+  ): string | undefined {
+    if (typeof beforeId !== "object") {
+      return beforeId;
+    }
+
+    const layers = this.style._order.map((id) => {
+      const layer = this.getLayer(id);
+
+      return {
+        id,
+        type: layer.type,
+        sourceLayer: layer.sourceLayer,
+        metadata: layer.metadata,
+      };
+    });
+
+    return resolveLayerAnchor(layers, beforeId);
+  }
+
+  /**
+   * Removes a layer from the map, including from the overlays
+   * @param id
+   * @returns
+   */
+  removeLayer(id: string) {
+    this.overlays.layers = this.overlays.layers.filter(
+      (entry) => entry.layer.id !== id
+    );
+    return super.removeLayer(id);
+  }
+
+  /**
+   * Adds an image to the style, to be used as an icon or a pattern.
+   * With the option `overlay`, the image is added again whenever the style changes.
+   * @param id
+   * @param image
+   * @param options
+   * @returns
+   */
+  addImage(
+    id: string,
+    image: OverlayImage["image"],
+    options: Partial<StyleImageMetadata> & OverlayOptions = {}
+  ) {
+    const { overlay, ...imageOptions } = options;
+
+    if (overlay) {
+      this.overlays.images[id] = { image, options: imageOptions };
+    }
+
+    return super.addImage(id, image, imageOptions);
+  }
+
+  /**
+   * Removes an image from the style, including from the overlays
+   * @param id
+   */
+  removeImage(id: string) {
+    delete this.overlays.images[id];
+    super.removeImage(id);
+  }
+
+  /**
+   * Updates the overlay sources and layers with their current version in the style
+   */
+  private snapshotOverlays() {
+    if (!this.style?.stylesheet) {
+      return;
+    }
+
+    const style = this.getStyle();
+
+    Object.keys(this.overlays.sources).forEach((id) => {
+      if (style.sources[id]) {
+        this.overlays.sources[id] = style.sources[id];
+      }
+    });
+
+    // (the custom layers are not part of the style and stay as they are)
+    this.overlays.layers.forEach((entry) => {
+      const layer = style.layers.find((l) => l.id === entry.layer.id);
+
+      if (layer) {
+        entry.layer = this.withoutTheme(layer);
+      }
+    });
+  }
+
+  /**
+   * Adds the overlay sources, images and layers that are missing from the style
+   */
+  private restoreOverlays() {
+    if (!this.style?.stylesheet) {
+      return;
+    }
+
+    Object.keys(this.overlays.sources).forEach((id) => {
+      if (!this.getSource(id)) {
+        super.addSource(id, this.overlays.sources[id]);
+      }
+    });
+
+    Object.keys(this.overlays.images).forEach((id) => {
+      if (!this.hasImage(id)) {
+        const { image, options } = this.overlays.images[id];
+        super.addImage(id, image, options);
+      }
+    });
+
+    this.overlays.layers.forEach(({ layer, beforeId }) => {
+      // A layer whose source is not part of the style anymore cannot be added
+      if (
+        this.getLayer(layer.id) ||
+        ("source" in layer && !this.getSource(layer.source as string))
+      ) {
+        return;
+      }
+
+      const resolvedBeforeId = this.resolveBeforeId(beforeId);
+
+      super.addLayer(
+        layer,
+        resolvedBeforeId && this.getLayer(resolvedBeforeId)
+          ? resolvedBeforeId
+          : undefined
+      );
+    });
+  }
+
+  /**
+   * Recolors the style, either with a color per group of layers (eg. `{ water: "#1e5f8c", roads: "#f2a900" }`)
+   * or by transforming the hue, saturation and lightness of all the colors (eg. `{ hue: 180, saturation: -0.5 }`).
+   * The colors of the paint properties are changed, including within expressions and interpolations.
+   * The theme applies again when the style changes, and to the layers added afterward, until `.resetTheme()` is called.
+   * Applying another theme replaces this one.
+   * @param theme
+   */
+  applyTheme(theme: MapTheme) {
+    this.theme = theme;
+
+    this.onStyleReady(() => {
+      this.restorePaint();
+      this.themeLayers();
+    });
+  }
+
+  /**
+   * Restores the colors of the style, undoing `.applyTheme()`
+   */
+  resetTheme() {
+    this.theme = null;
+
+    this.onStyleReady(() => {
+      this.restorePaint();
+    });
+  }
+
+  /**
+   * Get the theme applied with `.applyTheme()`, or `null` if there is none
+   * @returns
+   */
+  getTheme(): MapTheme | null {
+    return this.theme;
+  }
+
+  /**
+   * Applies the theme to the layers it was not applied to yet, saving their original colors
+   */
+  private themeLayers() {
+    if (!this.theme || !this.style?.stylesheet) {
+      return;
+    }
+
+    const layerIds = this.style._order;
+
+    // The layers that are not part of the style anymore are forgotten
+    Object.keys(this.originalPaint).forEach((layerId) => {
+      if (layerIds.indexOf(layerId) === -1) {
+        delete this.originalPaint[layerId];
+      }
+    });
+
+    layerIds.forEach((id) => {
+      const layer = this.getLayer(id);
+
+      // The custom layers have no paint properties
+      if (id in this.originalPaint || layer.type === "custom") {
+        return;
+      }
+
+      const paint =
+        (layer.serialize() as { paint?: { [property: string]: unknown } })
+          .paint ?? {};
+      const themedPaint = getThemedPaint(
+        {
+          id,
+          type: layer.type,
+          sourceLayer: layer.sourceLayer,
+          metadata: layer.metadata,
+          paint,
+        },
+        this.theme
+      );
+
+      this.originalPaint[id] = {};
+
+      Object.keys(themedPaint).forEach((property) => {
+        this.originalPaint[id][property] = paint[property];
+        this.setPaintProperty(id, property, themedPaint[property]);
+      });
+    });
+  }
+
+  /**
+   * Restores the original colors of the layers the theme was applied to
+   */
+  private restorePaint() {
+    Object.keys(this.originalPaint).forEach((layerId) => {
+      if (!this.getLayer(layerId)) {
+        return;
+      }
+
+      Object.keys(this.originalPaint[layerId]).forEach((property) => {
+        this.setPaintProperty(
+          layerId,
+          property,
+          this.originalPaint[layerId][property]
+        );
+      });
+    });
+
+    this.originalPaint = {};
+  }
+
+  /**
+   * Get a copy of a serialized layer with the colors it had before the theme
+   */
+  private withoutTheme(layer: LayerSpecification): LayerSpecification {
+    const original = this.originalPaint[layer.id];
+
+    if (!original || !("paint" in layer)) {
+      return layer;
+    }
+
+    const paint = { ...layer.paint };
+
+    Object.keys(original).forEach((property) => {
+      if (original[property] === undefined) {
+        delete paint[property];
+      } else {
+        paint[property] = original[property];
+      }
+    });
+
+    return { ...layer, paint } as LayerSpecification;
   }
 
   /**
    * Define the primary language of the map. Note that not all the languages shorthands provided are available.
    * This function is a short for `.setPrimaryLanguage()`
    * @param language
+   * @param scope the layers to update (default: all the layers)
    */
-  setLanguage(language: LanguageString = defaults.primaryLanguage) {
+  setLanguage(
+    language: LanguageString | LanguageFallbackChain = defaults.primaryLanguage,
+    scope: LanguageScopeOptions = {}
+  ) {
     if (language === Language.AUTO) {
-      return this.setLanguage(getBrowserLanguage());
+      return this.setLanguage(getBrowserLanguage(), scope);
     }
-    this.setPrimaryLanguage(language);
+    this.setPrimaryLanguage(language, scope);
   }
 
   /**
    * Define the primary language of the map. Note that not all the languages shorthands provided are available.
+   * With a fallback chain (eg. `["rm", "de", "fr", Language.LATIN]`), each label displays the first language
+   * available, or the local name if none is available.
+   * With `Language.STYLE_LOCK`, the labels are restored as defined in the style (see `.resetLanguage()`)
+   * until another language is defined.
+   * The change can be limited to some layers with `scope` (eg. `{ sourceLayers: ["place"] }`), the other layers
+   * keep their current labels. The scope is kept and applies again when the style changes.
+   * Once defined with this method, the primary language of this map no longer follows `config.primaryLanguage`.
    * @param language
+   * @param scope the layers to update (default: all the layers)
    */
-  setPrimaryLanguage(language: LanguageString = defaults.primaryLanguage) {
+  setPrimaryLanguage(
+    language: LanguageString | LanguageFallbackChain = defaults.primaryLanguage,
+    scope: LanguageScopeOptions = {}
+  ) {
+    if (this.applyPrimaryLanguage(language, scope)) {
+      this.sdkConfig.primaryLanguage = this.primaryLanguage;
+    }
+  }
+
+  /**
+   * Applies the primary language without defining it in the config of this map.
+   * Returns `false` if the language is not supported.
+   */
+  private applyPrimaryLanguage(
+    language: LanguageString | LanguageFallbackChain | null,
+    scope: LanguageScopeOptions
+  ): boolean {
+    if (language === Language.STYLE_LOCK) {
+      this.updatePrimaryLanguage(language);
+      this.onStyleReady(() => {
+        this.restoreTextFields();
+      });
+      return true;
+    }
+
+    // Leaving the lock, the secondary language must be applied again
+    const wasLocked = this.primaryLanguage === Language.STYLE_LOCK;
+
+    // Only the supported languages of a fallback chain are kept
+    if (Array.isArray(language)) {
+      language = language.filter(
+        (lang) => lang !== Language.STYLE_LOCK && isLanguageSupported(lang)
+      );
+
+      if (!language.length) {
+        return false;
+      }
+    } else if (!isLanguageSupported(language as string)) {
+      return false;
+    }
+
+    this.updatePrimaryLanguage(language);
+    this.primaryLanguageScope = scope;
+
+    this.onStyleReady(() => {
+      if (language === Language.AUTO) {
+        this.applyPrimaryLanguage(getBrowserLanguage(), scope);
+        return;
+      }
+
+      this.snapshotTextFields();
+      setPrimaryLanguage(this, language as string | Array<string>, scope);
+      this.isLanguageCheckPending = true;
+
+      if (wasLocked && this.secondaryLanguage !== null) {
+        this.applySecondaryLanguage(
+          this.secondaryLanguage,
+          this.secondaryLanguageOptions
+        );
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Define the secondary language of the map. Note that this is not supported by all the map styles.
+   * With the option `force`, the labels that only display one name get the secondary language on a second line.
+   * The change can be limited to some layers, just like with `.setPrimaryLanguage()`.
+   * The options are kept and apply again when the style changes.
+   * Once defined with this method, the secondary language of this map no longer follows `config.secondaryLanguage`.
+   * With `null`, the secondary language is removed and the labels show their second name as defined in the style.
+   * @param language
+   * @param options
+   */
+  setSecondaryLanguage(
+    language: LanguageString | null = defaults.secondaryLanguage,
+    options: SecondaryLanguageOptions = {}
+  ) {
+    // Using the lock flag as a primaty language also applies to the secondary
     if (this.primaryLanguage === Language.STYLE_LOCK) {
       console.warn(
-        "The language cannot be changed because this map has been instantiated with the STYLE_LOCK language flag."
+        "The language cannot be changed while the STYLE_LOCK language flag is used as primary language."
       );
       return;
     }
 
+    if (this.applySecondaryLanguage(language, options)) {
+      this.sdkConfig.secondaryLanguage = this.secondaryLanguage;
+    }
+  }
+
+  /**
+   * Applies the secondary language without defining it in the config of this map.
+   * Returns `false` if the language is not supported or cannot be changed.
+   */
+  private applySecondaryLanguage(
+    language: LanguageString | null,
+    options: SecondaryLanguageOptions
+  ): boolean {
+    if (this.primaryLanguage === Language.STYLE_LOCK) {
+      return false;
+    }
+
+    // Removing the secondary language restores the labels of the style, with the primary language only
+    if (language === null) {
+      if (this.secondaryLanguage === null) {
+        return false;
+      }
+
+      this.updateSecondaryLanguage(null);
+      this.secondaryLanguageOptions = options;
+      this.onStyleReady(() => {
+        this.restoreTextFields();
+        this.applyPrimaryLanguage(
+          this.primaryLanguage,
+          this.primaryLanguageScope
+        );
+      });
+      return true;
+    }
+
     if (!isLanguageSupported(language as string)) {
-      return;
+      return false;
     }
 
+    this.updateSecondaryLanguage(language);
+    this.secondaryLanguageOptions = options;
+
+    this.onStyleReady(() => {
+      if (language === Language.AUTO) {
+        this.applySecondaryLanguage(getBrowserLanguage(), options);
+        return;
+      }
+
+      this.snapshotTextFields();
+      setSecondaryLanguage(this, language as string, options);
+      this.isLanguageCheckPending = true;
+    });
+
+    return true;
+  }
+
+  /**
+   * Stores the primary language and fires a `languagechange` event if it changed
+   */
+  private updatePrimaryLanguage(
+    language: LanguageString | LanguageFallbackChain
+  ) {
+    const oldValue = this.primaryLanguage;
     this.primaryLanguage = language;
 
-    this.onStyleReady(() => {
-      if (language === Language.AUTO) {
-        return this.setPrimaryLanguage(getBrowserLanguage());
-      }
+    if (JSON.stringify(oldValue) !== JSON.stringify(language)) {
+      this.fire("languagechange", {
+        kind: "primary",
+        oldValue,
+        newValue: language,
+      });
+    }
+  }
+
+  /**
+   * Stores the secondary language and fires a `languagechange` event if it changed
+   */
+  private updateSecondaryLanguage(language: LanguageString | null) {
+    const oldValue = this.secondaryLanguage;
+    this.secondaryLanguage = language;
+
+    if (oldValue !== language) {
+      this.fire("languagechange", {
+        kind: "secondary",
+        oldValue,
+        newValue: language,
+      });
+    }
+  }
+
+  /**
+   * Restores the labels as defined in the style, undoing the language changes.
+   * This is equivalent to `.setPrimaryLanguage(Language.STYLE_LOCK)`: the labels stay as they are
+   * until another language is defined.
+   */
+  resetLanguage() {
+    this.setPrimaryLanguage(Language.STYLE_LOCK);
+  }
+
+  /**
+   * Save the original labels of the symbol layers that are not saved yet,
+   * so that they can be restored after the language changes
+   */
+  private snapshotTextFields() {
+    const layers = this.getStyle()?.layers ?? [];
+    const layerIds = new Set(layers.map((layer) => layer.id));
+
+    // A removed layer could come back with other labels
+    Object.keys(this.originalTextFields).forEach((layerId) => {
+      if (!layerIds.has(layerId)) {
+        delete this.originalTextFields[layerId];
+      }
+    });
+
+    layers.forEach((layer) => {
+      if (
+        layer.id in this.originalTextFields ||
+        !("layout" in layer) ||
+        !layer.layout ||
+        !("text-field" in layer.layout)
+      ) {
+        return;
+      }
+
+      this.originalTextFields[layer.id] = JSON.parse(
+        JSON.stringify(layer.layout["text-field"])
+      );
+    });
+  }
+
+  /**
+   * Restore the original labels saved by `.snapshotTextFields()`
+   */
+  private restoreTextFields() {
+    this.snapshotTextFields();
+
+    Object.keys(this.originalTextFields).forEach((layerId) => {
+      const original = this.originalTextFields[layerId];
+
+      if (
+        JSON.stringify(this.getLayoutProperty(layerId, "text-field")) !==
+        JSON.stringify(original)
+      ) {
+        this.setLayoutProperty(layerId, "text-field", original);
+      }
+    });
+  }
+
+  /**
+   * Get the primary language
+   * @returns
+   */
+  getPrimaryLanguage(): LanguageString | LanguageFallbackChain {
+    return this.primaryLanguage;
+  }
+
+  /**
+   * Get the secondary language
+   * @returns
+   */
+  getSecondaryLanguage(): LanguageString {
+    return this.secondaryLanguage;
+  }
+
+  /**
+   * Get the languages that have names in the data of the map, among the supported ones.
+   * This relies on the TileJSON metadata of the sources and on the tiles loaded so far,
+   * so the list may grow as the map is explored.
+   * @returns
+   */
+  getAvailableLanguages(): Array<LanguageString> {
+    return getAvailableLanguages(this);
+  }
+
+  /**
+   * Warns and fires a `languagemissing` event if none of the labels in view
+   * has a name in the primary or secondary language. The warning is only logged once per language.
+   */
+  private checkLanguageCoverage() {
+    if (this.primaryLanguage === Language.STYLE_LOCK) {
+      return;
+    }
+
+    const languages = {
+      primary: this.primaryLanguage,
+      secondary: this.secondaryLanguage,
+    };
+
+    (["primary", "secondary"] as const).forEach((kind) => {
+      const language = languages[kind];
+
+      if (
+        language === null ||
+        language === Language.LOCAL ||
+        hasLanguageCoverage(this, language)
+      ) {
+        return;
+      }
+
+      const languageId = JSON.stringify(language);
+
+      if (!this.warnedMissingLanguages.has(languageId)) {
+        this.warnedMissingLanguages.add(languageId);
+        console.warn(
+          `The language ${languageId} is not available for the labels in view.`
+        );
+      }
+
+      this.fire("languagemissing", { kind, language });
+    });
+  }
+
+  /**
+   * Get the exaggeration factor applied to the terrain
+   * @returns
+   */
+  getTerrainExaggeration(): number {
+    return this.terrainExaggeration;
+  }
+
+  /**
+   * Know if terrian is enabled or not
+   * @returns
+   */
+  hasTerrain(): boolean {
+    return this.isTerrainEnabled;
+  }
+
+  /**
+   * Get the ID of the raster-dem source used for the 3D terrain
+   * @returns
+   */
+  getTerrainSourceId(): string {
+    return this.terrainSource.id;
+  }
+
+  /**
+   * Remove the terrain and its source, if the source was added by the SDK
+   */
+  private removeTerrainSource() {
+    this.setTerrain(null);
+
+    if (this.isTerrainSourceAdded && this.getSource(this.terrainSource.id)) {
+      this.removeSource(this.terrainSource.id);
+    }
+
+    this.isTerrainSourceAdded = false;
+  }
+
+  /**
+   * Stops the terrain animation that is currently running or waiting for the terrain tiles, if any.
+   * The promise of the interrupted animation resolves with `{ interrupted: true }`.
+   */
+  private interruptTerrainAnimation() {
+    if (!this.terrainAnimationInterrupt) {
+      return;
+    }
+
+    const interrupt = this.terrainAnimationInterrupt;
+    this.terrainAnimationInterrupt = null;
+    interrupt();
+  }
+
+  /**
+   * Animates the terrain exaggeration from its current value to the provided one.
+   * The returned promise resolves when the animation is complete or interrupted, telling which one.
+   * @param exaggeration
+   * @param options
+   * @param onComplete called when the target is reached, before the promise is resolved
+   * @returns
+   */
+  private animateTerrainExaggeration(
+    exaggeration: number,
+    options: TerrainAnimationOptions = {},
+    onComplete?: () => void
+  ): Promise<TerrainAnimationResult> {
+    // Only one terrain animation can run at a time
+    this.interruptTerrainAnimation();
+
+    return new Promise<TerrainAnimationResult>((resolve) => {
+      // This method assumes the terrain is already built
+      if (!this.terrain) {
+        resolve({ interrupted: false });
+        return;
+      }
+
+      const duration = Math.max(
+        0,
+        options.duration ?? defaults.terrainAnimationDuration
+      );
+      const easing = options.easing ?? easeOutQuart;
+      const startTime = performance.now();
+      // This is supposedly 0, but it could be something else (e.g. already in the middle of growing, or user defined other)
+      const currentExaggeration = this.terrain.exaggeration;
+      const deltaExaggeration = exaggeration - currentExaggeration;
+      let animationFrame: number = null;
+
+      const fireAnimationEvent = (
+        type: TerrainAnimationEvent["type"],
+        interrupted: boolean
+      ) => {
+        this.fire(type, {
+          from: currentExaggeration,
+          to: exaggeration,
+          exaggeration: this.terrain?.exaggeration ?? 0,
+          interrupted,
+        });
+      };
+
+      this.terrainAnimationInterrupt = () => {
+        cancelAnimationFrame(animationFrame);
+        fireAnimationEvent("terrainAnimationend", true);
+        resolve({ interrupted: true });
+      };
+
+      // This is again called in a requestAnimationFrame ~loop, until the terrain exaggeration
+      // has reached the target
+      const updateExaggeration = () => {
+        // The terrain was removed by other means (eg. style change)
+        if (!this.terrain) {
+          this.interruptTerrainAnimation();
+          return;
+        }
+
+        // normalized value in interval [0, 1] of where we are currently in the animation loop
+        const positionInLoop =
+          duration > 0 ? (performance.now() - startTime) / duration : 1;
+
+        // The animation goes on until we reached 99% of the sequence duration
+        if (positionInLoop < 0.99) {
+          this.terrain.exaggeration =
+            currentExaggeration + easing(positionInLoop) * deltaExaggeration;
+          animationFrame = requestAnimationFrame(updateExaggeration);
+        } else {
+          this.terrain.exaggeration = exaggeration;
+          this.terrainAnimationInterrupt = null;
+
+          if (onComplete) {
+            onComplete();
+          }
+
+          fireAnimationEvent("terrainAnimationend", false);
+          resolve({ interrupted: false });
+        }
 
-      setPrimaryLanguage(this, language as string);
+        this.triggerRepaint();
+      };
 
+      fireAnimationEvent("terrainAnimationstart", false);
+      animationFrame = requestAnimationFrame(updateExaggeration);
     });
   }
 
   /**
-   * Define the secondary language of the map. Note that this is not supported by all the map styles
-   * Note that most styles do not allow a secondary language and this function only works if the style allows (no force adding)
-   * @param language
+   * Enables the 3D terrain visualization.
+   * If a `source` is provided, it replaces the terrain source used so far (MapTiler terrain, by default).
+   * It can be a TileJSON URL, a tile URL template or a raster-dem source definition.
+   * The returned promise resolves when the terrain has finished growing, or with `{ interrupted: true }`
+   * if the animation is interrupted (eg. by a call to `.disableTerrain()`).
+   * @param exaggeration
+   * @param source
+   * @param options duration and easing of the growing animation
+   * @returns
    */
-  setSecondaryLanguage(language: LanguageString = defaults.secondaryLanguage) {
-    // Using the lock flag as a primaty language also applies to the secondary
-    if (this.primaryLanguage === Language.STYLE_LOCK) {
-      console.warn(
-        "The language cannot be changed because this map has been instantiated with the STYLE_LOCK language flag."
-      );
-      return;
+  enableTerrain(
+    exaggeration = this.terrainExaggeration,
+    source?: TerrainSource,
+    options: TerrainAnimationOptions = {}
+  ): Promise<TerrainAnimationResult> {
+    if (exaggeration < 0) {
+      console.warn("Terrain exaggeration cannot be negative.");
+      return Promise.resolve({ interrupted: false });
     }
 
-    if (!isLanguageSupported(language as string)) {
-      return;
-    }
+    if (source !== undefined) {
+      const newTerrainSource = resolveTerrainSource(source);
 
-    this.secondaryLanguage = language;
+      const isSameSource =
+        newTerrainSource.id === this.terrainSource.id &&
+        JSON.stringify(newTerrainSource.spec) ===
+          JSON.stringify(this.terrainSource.spec);
 
-    this.onStyleReady(() => {
-      if (language === Language.AUTO) {
-        return this.setSecondaryLanguage(getBrowserLanguage());
+      // The terrain is already displayed but with another source,
+      // so it has to be built again from scratch
+      if (!isSameSource && this.getTerrain()) {
+        this.interruptTerrainAnimation();
+        this.removeTerrainSource();
       }
 
-      setSecondaryLanguage(this, language as string);
+      this.terrainSource = newTerrainSource;
+    }
+
+    // The terrain has already been loaded,
+    // we just update the exaggeration.
+    if (this.getTerrain()) {
+      this.isTerrainEnabled = true;
+      this.terrainExaggeration = exaggeration;
+      return this.animateTerrainExaggeration(exaggeration, options);
+    }
+
+    this.interruptTerrainAnimation();
+
+    return new Promise<TerrainAnimationResult>((resolve) => {
+      // This function is mapped to a map "data" event. It checks that the terrain
+      // tiles are loaded and when so, it starts an animation to make the terrain grow
+      const dataEventTerrainGrow = (evt: MapTerrainDataEvent) => {
+        if (!this.terrain) {
+          return;
+        }
+
+        if (
+          evt.type !== "data" ||
+          evt.dataType !== "source" ||
+          !("source" in evt)
+        ) {
+          return;
+        }
+
+        if (evt.sourceId !== this.terrainSource.id) {
+          return;
+        }
+
+        const source = evt.source;
+
+        if (source.type !== "raster-dem") {
+          return;
+        }
+
+        if (!evt.isSourceLoaded) {
+          return;
+        }
+
+        // We shut this event off because we want it to happen only once.
+        // Yet, we cannot use the "once" method because only the last event of the series
+        // has `isSourceLoaded` true
+        this.off("data", dataEventTerrainGrow);
+        this.terrainAnimationInterrupt = null;
+
+        this.animateTerrainExaggeration(exaggeration, options).then(resolve);
+      };
+
+      // This is put into a function so that it can be called regardless
+      // of the loading state of _this_ the map instance
+      const addTerrain = () => {
+        // When style is changed,
+        this.isTerrainEnabled = true;
+        this.terrainExaggeration = exaggeration;
+
+        // Mapping it to the "data" event so that we can check that the terrain
+        // growing starts only when terrain tiles are loaded (to reduce glitching)
+        this.on("data", dataEventTerrainGrow);
+
+        const { id, spec } = this.terrainSource;
+
+        // The source is added only if not already part of the style
+        if (spec && !this.getSource(id)) {
+          this.addSource(id, spec);
+          this.isTerrainSourceAdded = true;
+        }
+
+        // Setting up the terrain with a 0 exaggeration factor
+        // so it loads ~seamlessly and then can grow from there
+        this.setTerrain({
+          source: id,
+          exaggeration: 0,
+        });
+      };
+
+      const loadEventAddTerrain = () => {
+        if (this.getTerrain() && this.getSource(this.terrainSource.id)) {
+          this.terrainAnimationInterrupt = null;
+          resolve({ interrupted: false });
+          return;
+        }
+        addTerrain();
+      };
+
+      // Until the terrain tiles are loaded, the growing animation is pending
+      // and can still be interrupted
+      this.terrainAnimationInterrupt = () => {
+        this.off("load", loadEventAddTerrain);
+        this.off("data", dataEventTerrainGrow);
+        resolve({ interrupted: true });
+      };
 
+      if (this.loaded() || this.isTerrainEnabled) {
+        addTerrain();
+      } else {
+        this.once("load", loadEventAddTerrain);
+      }
     });
   }
 
   /**
-   * Get the primary language
+   * Disable the 3D terrain visualization.
+   * The returned promise resolves when the terrain has finished flattening, or with `{ interrupted: true }`
+   * if the animation is interrupted (eg. by a call to `.enableTerrain()`).
+   * @param options duration and easing of the flattening animation
    * @returns
    */
-  getPrimaryLanguage(): LanguageString {
-    return this.primaryLanguage;
+  disableTerrain(
+    options: TerrainAnimationOptions = {}
+  ): Promise<TerrainAnimationResult> {
+    // It could be disabled already, or still waiting to be enabled
+    if (!this.terrain) {
+      this.interruptTerrainAnimation();
+      return Promise.resolve({ interrupted: false });
+    }
+
+    this.isTerrainEnabled = false;
+
+    return this.animateTerrainExaggeration(0, options, () => {
+      this.removeTerrainSource();
+    });
   }
 
   /**
-   * Get the secondary language
+   * Sets the 3D terrain exageration factor.
+   * If the terrain was not enabled prior to the call of this method,
+   * the method `.enableTerrain()` will be called.
+   * If `animate` is `true`, the terrain transformation will be animated in the span of 1 second.
+   * If `animate` is `false`, no animated transition to the newly defined exaggeration.
+   * If `animate` is an object, it defines the duration and easing of the animation.
+   * @param exaggeration
+   * @param animate
    * @returns
    */
-  getSecondaryLanguage(): LanguageString {
-    return this.secondaryLanguage;
+  setTerrainExaggeration(
+    exaggeration: number,
+    animate: boolean | TerrainAnimationOptions = true
+  ): Promise<TerrainAnimationResult> {
+    if (!animate && this.terrain) {
+      this.interruptTerrainAnimation();
+      this.terrainExaggeration = exaggeration;
+      this.terrain.exaggeration = exaggeration;
+      this.triggerRepaint();
+      return Promise.resolve({ interrupted: false });
+    }
+
+    return this.enableTerrain(
+      exaggeration,
+      undefined,
+      typeof animate === "object" ? animate : {}
+    );
   }
 
   /**
-   * Get the exaggeration factor applied to the terrain
+   * Get the elevation at a given location. The raster-dem tiles of the terrain source that are
+   * already loaded by the map are used when they cover the location, otherwise the raster-dem tiles
+   * of the terrain source (MapTiler terrain by default) are fetched, up to the zoom level 12, even if the terrain is not enabled.
+   * The services of the client library (`@maptiler/client`) are not used as a fallback: the `coordinates` service
+   * searches and transforms coordinates and the `data` service gives user datasets, none of them gives elevations.
+   * The tile URLs are resolved as the map does (`maptiler://`, `pmtiles://` and `mbtiles://` URLs, interceptors).
+   * The elevation is in meters or in feet, depending on `config.unit` or on the `unit` option.
+   * @param lngLat
+   * @param options
    * @returns
    */
-  getTerrainExaggeration(): number {
-    return this.terrainExaggeration;
+  async queryElevation(
+    lngLat: LngLatLike,
+    options: ElevationQueryOptions = {}
+  ): Promise<number> {
+    const elevations = await this.queryElevations([lngLat], options);
+    return elevations[0];
   }
 
   /**
-   * Know if terrian is enabled or not
+   * Get the elevations at multiple locations at once.
+   * See `.queryElevation()` for more details.
+   * @param lngLats
+   * @param options
    * @returns
    */
-  hasTerrain(): boolean {
-    return this.isTerrainEnabled;
-  }
+  async queryElevations(
+    lngLats: Array<LngLatLike>,
+    options: ElevationQueryOptions = {}
+  ): Promise<Array<number>> {
+    const positions = lngLats.map((lngLat) =>
+      maplibregl.LngLat.convert(lngLat)
+    );
+    const { id, spec } = this.terrainSource;
 
-  private growTerrain(exaggeration, durationMs = 1000) {
-    // This method assumes the terrain is already built
-    if (!this.terrain) {
-      return;
-    }
+    const elevations = positions.map((position) =>
+      getElevationFromLoadedTiles(this, id, position)
+    );
 
-    const startTime = performance.now();
-    // This is supposedly 0, but it could be something else (e.g. already in the middle of growing, or user defined other)
-    const currentExaggeration = this.terrain.exaggeration;
-    const deltaExaggeration = exaggeration - currentExaggeration;
+    // The locations not covered by loaded tiles have their elevation fetched
+    const missingIndices = elevations
+      .map((elevation, i) => (elevation === null ? i : -1))
+      .filter((i) => i !== -1);
 
-    // This is again called in a requestAnimationFrame ~loop, until the terrain has grown enough
-    // that it has reached the target
-    const updateExaggeration = () => {
-      if (!this.terrain) {
-        return;
-      }
+    if (missingIndices.length) {
+      const source = (spec ??
+        this.getStyle()?.sources[id]) as RasterDEMSourceSpecification;
 
-      // If the flattening animation is triggered while the growing animation
-      // is running, then the flattening animation is stopped
-      if (this.terrainFlattening) {
-        return;
+      if (!source) {
+        throw new Error(`The terrain source "${id}" could not be found.`);
       }
 
-      // normalized value in interval [0, 1] of where we are currently in the animation loop
-      const positionInLoop = (performance.now() - startTime) / durationMs;
+      const fetchedElevations = await fetchElevations(
+        missingIndices.map((i) => positions[i]),
+        source,
+        this.interceptRequest,
+        this.getPixelRatio()
+      );
 
-      // The animation goes on until we reached 99% of the growing sequence duration
-      if (positionInLoop < 0.99) {
-        const exaggerationFactor = 1 - Math.pow(1 - positionInLoop, 4);
-        const newExaggeration =
-          currentExaggeration + exaggerationFactor * deltaExaggeration;
-        this.terrain.exaggeration = newExaggeration;
-        requestAnimationFrame(updateExaggeration);
-      } else {
-        this.terrainGrowing = false;
-        this.terrainFlattening = false;
-        this.terrain.exaggeration = exaggeration;
-      }
+      missingIndices.forEach((positionIndex, i) => {
+        elevations[positionIndex] = fetchedElevations[i];
+      });
+    }
 
-      this.triggerRepaint();
-    };
+    const exaggeration =
+      options.exaggerated && this.isTerrainEnabled
+        ? this.terrainExaggeration
+        : 1;
 
-    this.terrainGrowing = true;
-    this.terrainFlattening = false;
-    requestAnimationFrame(updateExaggeration);
+    return elevations.map((elevation) =>
+      elevationToUnit(
+        elevation * exaggeration,
+        options.unit ?? this.sdkConfig.unit
+      )
+    );
   }
 
   /**
-   * Enables the 3D terrain visualization
-   * @param exaggeration
+   * Computes the elevation profile along a line: the elevation is queried at a number of locations
+   * evenly distributed along the line (see `.queryElevation()`), together with the distance from its begining.
+   * The total ascent and descent are also computed.
+   * @param lineString a GeoJSON LineString, or a Feature containing one
+   * @param options
    * @returns
    */
-  enableTerrain(exaggeration = this.terrainExaggeration) {
-    if (exaggeration < 0) {
-      console.warn("Terrain exaggeration cannot be negative.");
-      return;
+  async getElevationProfile(
+    lineString: LineString | Feature<LineString>,
+    options: ElevationProfileOptions = {}
+  ): Promise<ElevationProfile> {
+    const samples = sampleLineString(
+      lineString,
+      options.samples ?? defaults.elevationProfileSamples
+    );
+
+    const elevations = await this.queryElevations(
+      samples.map((sample) => sample.lngLat),
+      options
+    );
+
+    return computeElevationProfile(
+      samples,
+      elevations,
+      options.unit ?? this.sdkConfig.unit
+    );
+  }
+
+  /**
+   * Creates one of the controls that can be enabled with the `Map` constructor options
+   * @param name
+   * @returns
+   */
+  private createControl(name: MapControlName): maplibregl.IControl {
+    switch (name) {
+      case "scaleControl":
+        return new ScaleControl({ unit: this.sdkConfig.unit });
+
+      case "navigationControl":
+        return new MaptilerNavigationControl();
+
+      case "geolocateControl":
+        return new MaptilerGeolocateControl({
+          positionOptions: {
+            enableHighAccuracy: true,
+            maximumAge: 0,
+            timeout: 6000 /* 6 sec */,
+          },
+          fitBoundsOptions: {
+            maxZoom: 15,
+          },
+          trackUserLocation: true,
+          showAccuracyCircle: true,
+          showUserLocation: true,
+        });
+
+      case "terrainControl":
+        return new MaptilerTerrainControl();
+
+      case "fullscreenControl":
+        return new FullscreenControl({});
+
+      case "languageControl":
+        return new MaptilerLanguageControl();
     }
+  }
 
-    // This function is mapped to a map "data" event. It checks that the terrain
-    // tiles are loaded and when so, it starts an animation to make the terrain grow
-    const dataEventTerrainGrow = async (evt: MapTerrainDataEvent) => {
-      if (!this.terrain) {
-        return;
-      }
+  /**
+   * Show or hide one of the controls that can be enabled with the `Map` constructor options.
+   * If `visibility` is a position, the control is shown at this position, if `true`, it is shown
+   * at its previous position or at its default position.
+   * @param name
+   * @param visibility
+   */
+  setControlVisibility(
+    name: MapControlName,
+    visibility: boolean | ControlPosition
+  ) {
+    const current = this.controls[name];
 
-      if (
-        evt.type !== "data" ||
-        evt.dataType !== "source" ||
-        !("source" in evt)
-      ) {
-        return;
+    if (visibility === false) {
+      if (current) {
+        this.removeControl(current.control);
+        delete this.controls[name];
       }
+      return;
+    }
 
-      if (evt.sourceId !== "maptiler-terrain") {
-        return;
-      }
+    const position =
+      visibility === true
+        ? current?.position ?? defaults.controlPositions[name]
+        : visibility;
 
-      const source = evt.source;
+    // Already shown at the right position
+    if (current && current.position === position) {
+      return;
+    }
 
-      if (source.type !== "raster-dem") {
-        return;
-      }
+    if (current) {
+      this.removeControl(current.control);
+    }
 
-      if (!evt.isSourceLoaded) {
-        return;
-      }
+    const control = this.createControl(name);
+    this.addControl(control, position);
+    this.controls[name] = { control, position };
+  }
+
+  /**
+   * Know if one of the controls that can be enabled with the `Map` constructor options is shown
+   * @param name
+   * @returns
+   */
+  isControlVisible(name: MapControlName): boolean {
+    return name in this.controls;
+  }
+
+  /**
+   * Get the full state of the map: camera, style, languages, terrain and controls visibility.
+   * It can be restored later with `.setState()`. A MapTiler style URL is given without its API key and session ID.
+   * @returns
+   */
+  getState(): MapState {
+    const center = this.getCenter();
+    const controls: MapState["controls"] = {};
 
-      // We shut this event off because we want it to happen only once.
-      // Yet, we cannot use the "once" method because only the last event of the series
-      // has `isSourceLoaded` true
-      this.off("data", dataEventTerrainGrow);
+    MapControlNames.forEach((name) => {
+      controls[name] = this.isControlVisible(name);
+    });
 
-      this.growTerrain(exaggeration);
+    return {
+      center: [center.lng, center.lat],
+      zoom: this.getZoom(),
+      pitch: this.getPitch(),
+      bearing: this.getBearing(),
+      // (without the credentials of a style URL, since a state can be shared)
+      style:
+        this.styleReference === null
+          ? null
+          : withoutCredentials(this.styleReference, this.sdkConfig),
+      primaryLanguage: this.primaryLanguage,
+      secondaryLanguage: this.secondaryLanguage,
+      terrain: this.isTerrainEnabled,
+      terrainExaggeration: this.terrainExaggeration,
+      controls,
     };
+  }
 
-    // This is put into a function so that it can be called regardless
-    // of the loading state of _this_ the map instance
-    const addTerrain = () => {
-      // When style is changed,
-      this.isTerrainEnabled = true;
-      this.terrainExaggeration = exaggeration;
+  /**
+   * Get the full state of the map (see `.getState()`) encoded as a compact and URL-safe string.
+   * @returns
+   */
+  getEncodedState(): string {
+    return encodeMapState(this.getState());
+  }
 
-      // Mapping it to the "data" event so that we can check that the terrain
-      // growing starts only when terrain tiles are loaded (to reduce glitching)
-      this.on("data", dataEventTerrainGrow);
+  /**
+   * Restores a state of the map, as returned by `.getState()` or `.getEncodedState()`.
+   * Only the elements present in the state are updated.
+   * @param state
+   */
+  setState(state: Partial<MapState> | string) {
+    const newState = typeof state === "string" ? decodeMapState(state) : state;
 
-      this.addSource(defaults.terrainSourceId, {
-        type: "raster-dem",
-        url: defaults.terrainSourceURL,
-      });
+    // Only the camera options of the state are given, since Maplibre does not ignore the undefined ones
+    const camera: JumpToOptions = {};
 
-      // Setting up the terrain with a 0 exaggeration factor
-      // so it loads ~seamlessly and then can grow from there
-      this.setTerrain({
-        source: defaults.terrainSourceId,
-        exaggeration: 0,
-      });
-    };
+    if (newState.center !== undefined) {
+      camera.center = newState.center;
+    }
 
-    // The terrain has already been loaded,
-    // we just update the exaggeration.
-    if (this.getTerrain()) {
-      this.isTerrainEnabled = true;
-      this.growTerrain(exaggeration);
-      return;
+    if (newState.zoom !== undefined) {
+      camera.zoom = newState.zoom;
     }
 
-    if (this.loaded() || this.isTerrainEnabled) {
-      addTerrain();
-    } else {
-      this.once("load", () => {
-        if (this.getTerrain() && this.getSource(defaults.terrainSourceId)) {
-          return;
+    if (newState.pitch !== undefined) {
+      camera.pitch = newState.pitch;
+    }
+
+    if (newState.bearing !== undefined) {
+      camera.bearing = newState.bearing;
+    }
+
+    this.jumpTo(camera);
+
+    if (
+      newState.style &&
+      withoutCredentials(newState.style, this.sdkConfig) !==
+        this.getState().style
+    ) {
+      this.setStyle(newState.style);
+    }
+
+    if (newState.primaryLanguage !== undefined) {
+      this.setPrimaryLanguage(newState.primaryLanguage);
+    }
+
+    if (newState.secondaryLanguage !== undefined) {
+      this.setSecondaryLanguage(newState.secondaryLanguage);
+    }
+
+    if (newState.terrain === true) {
+      this.enableTerrain(
+        newState.terrainExaggeration ?? this.terrainExaggeration
+      );
+    } else if (newState.terrain === false) {
+      this.disableTerrain();
+    } else if (newState.terrainExaggeration !== undefined) {
+      this.terrainExaggeration = newState.terrainExaggeration;
+    }
+
+    if (newState.controls) {
+      MapControlNames.forEach((name) => {
+        if (name in newState.controls) {
+          this.setControlVisibility(name, newState.controls[name]);
         }
-        addTerrain();
       });
     }
   }
 
   /**
-   * Disable the 3D terrain visualization
+   * Downloads into the cache (see `config.cache`) all the MapTiler Cloud tiles of the current style
+   * that cover a region, for the given zoom range, so that the region can be displayed offline.
+   * The style, TileJSON, glyphs and sprites are cached as they are used by the map.
+   * @param options
    */
-  disableTerrain() {
-    // It could be disabled already
-    if (!this.terrain) {
-      return;
+  async downloadRegion(options: DownloadRegionOptions) {
+    if (!this.sdkConfig.cache) {
+      throw new Error(
+        "The cache must be enabled with `config.cache` to download a region."
+      );
     }
 
-    this.isTerrainEnabled = false;
-    // this.stopFlattening = false;
+    const bounds = maplibregl.LngLatBounds.convert(options.bounds);
+    const minZoom = Math.max(0, Math.floor(options.minZoom ?? 0));
+    const maxZoom = Math.floor(options.maxZoom ?? Math.ceil(this.getZoom()));
+
+    // The tile URL templates of the MapTiler sources, with their zoom range
+    const tileSets = Object.keys(this.style.sourceCaches)
+      .map((sourceId) => this.getSource(sourceId))
+      .filter(
+        (source) =>
+          "tiles" in source &&
+          Array.isArray(source.tiles) &&
+          source.tiles.length &&
+          isMaptilerURL(source.tiles[0], this.sdkConfig)
+      )
+      .map((source: maplibregl.VectorTileSource) => ({
+        template: source.tiles[0],
+        minzoom: source.minzoom ?? 0,
+        maxzoom: source.maxzoom ?? 22,
+      }));
+
+    const nw = maplibregl.MercatorCoordinate.fromLngLat(bounds.getNorthWest());
+    const se = maplibregl.MercatorCoordinate.fromLngLat(bounds.getSouthEast());
+
+    // The columns of tiles start from the west edge and wrap around the antimeridian when the region crosses it
+    // (then either with an east edge beyond 180° or with an east edge lower than the west edge)
+    let width = bounds.getEast() - bounds.getWest();
+
+    if (width < 0) {
+      width += 360;
+    }
 
-    // Duration of the animation in millisec
-    const animationLoopDuration = 1 * 1000;
-    const startTime = performance.now();
-    // This is supposedly 0, but it could be something else (e.g. already in the middle of growing, or user defined other)
-    const currentExaggeration = this.terrain.exaggeration;
+    const west = ((((bounds.getWest() + 180) % 360) + 360) % 360) / 360;
+    const east = west + Math.min(width, 360) / 360;
+
+    // The tiles of each zoom level are counted from their range before listing them,
+    // so that a region too large is rejected right away
+    const levels: Array<{
+      z: number;
+      minX: number;
+      columnCount: number;
+      minY: number;
+      maxY: number;
+      tileSets: typeof tileSets;
+    }> = [];
+    let tileCount = 0;
+
+    for (let z = minZoom; z <= maxZoom; z += 1) {
+      const tilesPerAxis = Math.pow(2, z);
+      const clamp = (v: number) =>
+        Math.min(Math.max(Math.floor(v * tilesPerAxis), 0), tilesPerAxis - 1);
+      const minX = Math.floor(west * tilesPerAxis);
+      const maxX = Math.max(minX, Math.ceil(east * tilesPerAxis) - 1);
+      const level = {
+        z,
+        minX,
+        columnCount: Math.min(maxX - minX + 1, tilesPerAxis),
+        minY: clamp(nw.y),
+        maxY: clamp(se.y),
+        tileSets: tileSets.filter(
+          (tileSet) => z >= tileSet.minzoom && z <= tileSet.maxzoom
+        ),
+      };
 
-    // This is again called in a requestAnimationFrame ~loop, until the terrain has grown enough
-    // that it has reached the target
-    const updateExaggeration = () => {
-      if (!this.terrain) {
-        return;
-      }
+      levels.push(level);
+      tileCount +=
+        level.columnCount *
+        (level.maxY - level.minY + 1) *
+        level.tileSets.length;
+    }
 
-      // If the growing animation is triggered while flattening,
-      // then we exist the flatening
-      if (this.terrainGrowing) {
-        return;
-      }
+    if (tileCount > defaults.maxRegionTileCount) {
+      throw new Error(
+        `The region contains ${tileCount} tiles, which is more than the maximum of ${defaults.maxRegionTileCount}.`
+      );
+    }
 
-      // normalized value in interval [0, 1] of where we are currently in the animation loop
-      const positionInLoop =
-        (performance.now() - startTime) / animationLoopDuration;
+    const urls: Array<string> = [];
 
-      // The animation goes on until we reached 99% of the growing sequence duration
-      if (positionInLoop < 0.99) {
-        const exaggerationFactor = Math.pow(1 - positionInLoop, 4);
-        const newExaggeration = currentExaggeration * exaggerationFactor;
-        this.terrain.exaggeration = newExaggeration;
-        requestAnimationFrame(updateExaggeration);
-      } else {
-        this.terrain.exaggeration = 0;
-        this.terrainGrowing = false;
-        this.terrainFlattening = false;
-        this.setTerrain(null);
-        if (this.getSource(defaults.terrainSourceId)) {
-          this.removeSource(defaults.terrainSourceId);
+    levels.forEach((level) => {
+      const tilesPerAxis = Math.pow(2, level.z);
+
+      level.tileSets.forEach((tileSet) => {
+        for (let column = 0; column < level.columnCount; column += 1) {
+          const x = (level.minX + column) % tilesPerAxis;
+
+          for (let y = level.minY; y <= level.maxY; y += 1) {
+            urls.push(
+              tileSet.template
+                .replace("{z}", level.z.toString())
+                .replace("{x}", x.toString())
+                .replace("{y}", y.toString())
+            );
+          }
         }
-      }
+      });
+    });
 
-      this.triggerRepaint();
+    let downloaded = 0;
+
+    // A few tiles are downloaded in parallel
+    const downloadNext = async () => {
+      while (urls.length) {
+        const request = this.interceptRequest(
+          urls.shift(),
+          "Tile" as ResourceType
+        );
+        await this.sdkConfig.cache.fetch(request.url, request.headers);
+        downloaded += 1;
+
+        if (options.onProgress) {
+          options.onProgress(downloaded, tileCount);
+        }
+      }
     };
 
-    this.terrainGrowing = false;
-    this.terrainFlattening = true;
-    requestAnimationFrame(updateExaggeration);
+    await Promise.all(
+      Array.from({ length: defaults.regionDownloadConcurrency }, downloadNext)
+    );
   }
 
   /**
-   * Sets the 3D terrain exageration factor.
-   * If the terrain was not enabled prior to the call of this method,
-   * the method `.enableTerrain()` will be called.
-   * If `animate` is `true`, the terrain transformation will be animated in the span of 1 second.
-   * If `animate` is `false`, no animated transition to the newly defined exaggeration.
-   * @param exaggeration
-   * @param animate
+   * Add an interceptor for the requests of this map. It applies after the built-in MapTiler logic
+   * and the global interceptors (see `config.addRequestInterceptor()`).
+   * Note that the requests already made (eg. the style) are not affected.
+   * @param interceptor
    */
-  setTerrainExaggeration(exaggeration: number, animate = true) {
-    if (!animate && this.terrain) {
-      this.terrainExaggeration = exaggeration;
-      this.terrain.exaggeration = exaggeration;
-      this.triggerRepaint();
-    } else {
-      this.enableTerrain(exaggeration);
-    }
+  addRequestInterceptor(interceptor: RequestInterceptor) {
+    this.sdkConfig.addRequestInterceptor(interceptor);
+  }
+
+  /**
+   * Remove an interceptor that was added with `.addRequestInterceptor()` or with the constructor option `requestInterceptors`
+   * @param interceptor
+   */
+  removeRequestInterceptor(interceptor: RequestInterceptor) {
+    this.sdkConfig.removeRequestInterceptor(interceptor);
   }
 
   /**
@@ -907,7 +2819,9 @@ export class Map extends maplibregl.Map {
   }
 
   async fitToIpBounds() {
-    const ipGeolocateResult = await geolocation.info();
+    const ipGeolocateResult = await geolocation.info({
+      apiKey: this.sdkConfig.apiKey || undefined,
+    });
     this.fitBounds(
       ipGeolocateResult.country_bounds as [number, number, number, number],
       {
@@ -918,7 +2832,9 @@ export class Map extends maplibregl.Map {
   }
 
   async centerOnIpPoint(zoom: number | undefined) {
-    const ipGeolocateResult = await geolocation.info();
+    const ipGeolocateResult = await geolocation.info({
+      apiKey: this.sdkConfig.apiKey || undefined,
+    });
     this.jumpTo({
       center: [ipGeolocateResult.longitude, ipGeolocateResult.latitude],
       zoom: zoom || 11,
@@ -937,13 +2853,14 @@ export class Map extends maplibregl.Map {
   }
 
   /**
-   * Get the SDK config object.
+   * Get the SDK config of this map. It inherits the settings of the global config,
+   * except the ones defined for this map only (eg. with the constructor options `apiKey` or `unit`).
    * This is convenient to dispatch the SDK configuration to externally built layers
    * that do not directly have access to the SDK configuration but do have access to a Map instance.
    * @returns
    */
   getSdkConfig(): SdkConfig {
-    return config;
+    return this.sdkConfig;
   }
 
   /**
@@ -0,0 +1,245 @@
+import { bindAll, throttle } from "./tools";
+import { config, SdkConfig } from "./config";
+import { isMaptilerURL, withoutCredentials } from "./requests";
+import type { Map } from "./Map";
+import type { MapState } from "./mapstate";
+import type { LanguageString, LanguageFallbackChain } from "./language";
+
+/**
+ * Reads the key/value pairs of a parameter-styled hash (eg. `"#map=10/46/6&style=streets-v2"`)
+ */
+function getHashParameters(hash: string): { [key: string]: string } {
+  const parameters: { [key: string]: string } = {};
+
+  hash
+    .replace(/^#/, "")
+    .split("&")
+    .filter((part) => part)
+    .forEach((part) => {
+      const separatorIndex = part.indexOf("=");
+
+      if (separatorIndex === -1) {
+        parameters[part] = "";
+      } else {
+        parameters[part.slice(0, separatorIndex)] = part.slice(
+          separatorIndex + 1
+        );
+      }
+    });
+
+  return parameters;
+}
+
+/**
+ * Get the style to write in a hash or to read from it, so that a shared link only loads MapTiler styles
+ * and carries no credentials: a style ID, or the URL of a MapTiler style without its API key and session ID.
+ * Returns `null` for the other styles.
+ */
+function toHashStyle(style: string, sdkConfig: SdkConfig): string | null {
+  if (/^[\w-]+$/.test(style)) {
+    return style;
+  }
+
+  if (!isMaptilerURL(style, sdkConfig)) {
+    return null;
+  }
+
+  return withoutCredentials(style, sdkConfig);
+}
+
+/**
+ * Reads the map state contained in a hash written by `MapStateHash`.
+ * Returns `null` if the hash contains no map state.
+ * The camera is under the key `hashName` (as `zoom/lat/lng/bearing/pitch`, just like with MapLibre)
+ * while the style, primary language (or comma-separated fallback chain), secondary language and terrain exaggeration
+ * are respectively under the keys `style`, `lang`, `lang2` and `terrain`. Having no `terrain` key means the terrain is disabled.
+ * Only a MapTiler style is read, by its ID or its URL.
+ * @param hash
+ * @param hashName
+ * @param sdkConfig the config of the map, that tells the MapTiler URLs
+ * @returns
+ */
+export function parseStateHash(
+  hash: string,
+  hashName: string,
+  sdkConfig: SdkConfig = config
+): Partial<MapState> | null {
+  const parameters = getHashParameters(hash);
+
+  if (!(hashName in parameters)) {
+    return null;
+  }
+
+  const state: Partial<MapState> = {};
+  const camera = parameters[hashName].split("/").map((v) => parseFloat(v));
+
+  if (camera.length >= 3 && !camera.some((v) => isNaN(v))) {
+    state.zoom = camera[0];
+    state.center = [camera[2], camera[1]];
+    state.bearing = camera[3] || 0;
+    state.pitch = camera[4] || 0;
+  }
+
+  const style = parameters.style
+    ? toHashStyle(decodeURIComponent(parameters.style), sdkConfig)
+    : null;
+
+  if (style) {
+    state.style = style;
+  }
+
+  // A fallback chain is written as a comma-separated list
+  if ("lang" in parameters) {
+    const lang = decodeURIComponent(parameters.lang);
+    state.primaryLanguage = lang.includes(",")
+      ? (lang.split(",") as LanguageFallbackChain)
+      : (lang as LanguageString);
+  }
+
+  if ("lang2" in parameters) {
+    state.secondaryLanguage = decodeURIComponent(
+      parameters.lang2
+    ) as LanguageString;
+  }
+
+  state.terrain = "terrain" in parameters;
+
+  if (state.terrain) {
+    state.terrainExaggeration = parseFloat(parameters.terrain) || 1;
+  }
+
+  return state;
+}
+
+/**
+ * Keeps the URL hash in sync with the state of a map: camera, style, languages and terrain.
+ * This is similar to the MapLibre `hash` option, that only contains the camera.
+ */
+export class MapStateHash {
+  _map: Map;
+  _updateHash: () => ReturnType<typeof setTimeout>;
+  _hashName: string;
+  _sdkConfig: SdkConfig;
+
+  constructor(hashName: string, sdkConfig: SdkConfig = config) {
+    this._hashName = encodeURIComponent(hashName);
+    this._sdkConfig = sdkConfig;
+    bindAll(["_onHashChange", "_updateHash"], this);
+
+    // Mobile Safari doesn't allow updating the hash more than 100 times per 30 seconds.
+    this._updateHash = throttle(
+      this._updateHashUnthrottled.bind(this),
+      (30 * 1000) / 100
+    );
+  }
+
+  addTo(map: Map) {
+    this._map = map;
+    window.addEventListener("hashchange", this._onHashChange, false);
+    this._map.on("moveend", this._updateHash);
+    this._map.on("styledata", this._updateHash);
+    this._map.on("terrain", this._updateHash);
+    this._map.on("languagechange", this._updateHash);
+    return this;
+  }
+
+  remove() {
+    window.removeEventListener("hashchange", this._onHashChange, false);
+    this._map.off("moveend", this._updateHash);
+    this._map.off("styledata", this._updateHash);
+    this._map.off("terrain", this._updateHash);
+    this._map.off("languagechange", this._updateHash);
+    clearTimeout(this._updateHash());
+
+    delete this._map;
+    return this;
+  }
+
+  getHashString(): string {
+    const state = this._map.getState();
+    const zoom = Math.round(state.zoom * 100) / 100;
+    // derived from equation: 512px * 2^z / 360 / 10^d < 0.5px
+    const precision = Math.ceil(
+      (zoom * Math.LN2 + Math.log(512 / 360 / 0.5)) / Math.LN10
+    );
+    const m = Math.pow(10, precision);
+    const lng = Math.round(state.center[0] * m) / m;
+    const lat = Math.round(state.center[1] * m) / m;
+
+    let camera = `${zoom}/${lat}/${lng}`;
+
+    if (state.bearing || state.pitch) {
+      camera += `/${Math.round(state.bearing * 10) / 10}`;
+    }
+
+    if (state.pitch) {
+      camera += `/${Math.round(state.pitch)}`;
+    }
+
+    const style =
+      state.style === null ? null : toHashStyle(state.style, this._sdkConfig);
+
+    const stateParameters: { [key: string]: string | null } = {
+      [this._hashName]: camera,
+      style: style === null ? null : encodeURIComponent(style),
+      lang:
+        state.primaryLanguage === null
+          ? null
+          : encodeURIComponent(
+              Array.isArray(state.primaryLanguage)
+                ? state.primaryLanguage.join(",")
+                : state.primaryLanguage
+            ),
+      lang2:
+        state.secondaryLanguage === null
+          ? null
+          : encodeURIComponent(state.secondaryLanguage),
+      terrain: state.terrain
+        ? (Math.round(state.terrainExaggeration * 100) / 100).toString()
+        : null,
+    };
+
+    // The other parameters of the hash are kept untouched
+    const parts = window.location.hash
+      .slice(1)
+      .split("&")
+      .filter((part) => part && !(part.split("=")[0] in stateParameters));
+
+    Object.keys(stateParameters).forEach((key) => {
+      if (stateParameters[key] !== null) {
+        parts.push(`${key}=${stateParameters[key]}`);
+      }
+    });
+
+    return `#${parts.join("&")}`;
+  }
+
+  _onHashChange() {
+    const state = parseStateHash(
+      window.location.hash,
+      this._hashName,
+      this._sdkConfig
+    );
+
+    if (!state) {
+      return false;
+    }
+
+    this._map.setState(state);
+    return true;
+  }
+
+  _updateHashUnthrottled() {
+    // Replace if already present, else append the updated hash string
+    const location = window.location.href.replace(
+      /(#.+)?$/,
+      this.getHashString()
+    );
+
+    try {
+      window.history.replaceState(window.history.state, null, location);
+    } catch (SecurityError) {
+      // The history cannot be updated, in some iframes for instance
+    }
+  }
+}
@@ -0,0 +1,220 @@
+import { bindAll, DOMcreate, DOMremove } from "./tools";
+
+import { Map } from "./Map";
+import maplibregl from "maplibre-gl";
+import {
+  getBrowserLanguage,
+  Language,
+  LanguageString,
+  languageNativeNames,
+} from "./language";
+
+// Value of the list entry shown when there is no secondary language
+// (not an empty string, which is the value of `Language.LOCAL`)
+const noLanguageValue = "none";
+
+/**
+ * Options of the `MaptilerLanguageControl`
+ */
+export type MaptilerLanguageControlOptions = {
+  /**
+   * Languages that can be picked. Only the ones available in the data of the style are listed.
+   * (default: all the built-in languages)
+   */
+  languages?: Array<LanguageString>;
+
+  /**
+   * Show a second list to pick the secondary language. (default: `true`)
+   */
+  secondary?: boolean;
+};
+
+/**
+ * A `MaptilerLanguageControl` control adds lists to pick the primary and secondary languages of the map,
+ * displayed with their native names. The choice is part of the map state (see `Map.getState()`).
+ */
+export class MaptilerLanguageControl implements maplibregl.IControl {
+  _map: Map;
+  _container: HTMLElement;
+  _primarySelect: HTMLSelectElement;
+  _secondarySelect: HTMLSelectElement | null = null;
+  _options: MaptilerLanguageControlOptions;
+
+  // Languages currently listed, to only rebuild the lists when they change
+  _listedLanguages = "";
+
+  constructor(options: MaptilerLanguageControlOptions = {}) {
+    this._options = {
+      secondary: true,
+      ...options,
+    };
+    bindAll(
+      [
+        "_onPrimaryChange",
+        "_onSecondaryChange",
+        "_onSourceData",
+        "_updateLanguageLists",
+        "_updateSelection",
+      ],
+      this
+    );
+  }
+
+  onAdd(map: Map) {
+    this._map = map;
+    this._container = DOMcreate(
+      "div",
+      "maplibregl-ctrl maplibregl-ctrl-group maplibregl-ctrl-language"
+    );
+
+    this._primarySelect = DOMcreate("select", "", this._container);
+    this._primarySelect.setAttribute("aria-label", "Primary language");
+    this._primarySelect.addEventListener("change", this._onPrimaryChange);
+
+    if (this._options.secondary) {
+      this._secondarySelect = DOMcreate("select", "", this._container);
+      this._secondarySelect.setAttribute("aria-label", "Secondary language");
+      this._secondarySelect.addEventListener("change", this._onSecondaryChange);
+    }
+
+    this._updateLanguageLists();
+    this._map.on("languagechange", this._updateSelection);
+    this._map.on("styledata", this._updateLanguageLists);
+    this._map.on("sourcedata", this._onSourceData);
+    return this._container;
+  }
+
+  onRemove() {
+    DOMremove(this._container);
+    this._map.off("languagechange", this._updateSelection);
+    this._map.off("styledata", this._updateLanguageLists);
+    this._map.off("sourcedata", this._onSourceData);
+    this._map = undefined;
+  }
+
+  /**
+   * Languages to list, among the ones available in the data of the style.
+   * Before any tile is loaded, nothing is known about the data and all the languages are listed.
+   */
+  _getListedLanguages(): Array<LanguageString> {
+    const languages =
+      this._options.languages ??
+      (Object.keys(languageNativeNames) as Array<LanguageString>).filter(
+        (lang) => lang !== Language.AUTO && lang !== Language.STYLE_LOCK
+      );
+    const available = this._map.getAvailableLanguages();
+
+    if (!available.length) {
+      return languages;
+    }
+
+    return languages.filter((lang) => available.indexOf(lang) !== -1);
+  }
+
+  _fillSelect(
+    select: HTMLSelectElement,
+    languages: Array<LanguageString>,
+    placeholder: LanguageString | null
+  ) {
+    while (select.firstChild) {
+      select.removeChild(select.firstChild);
+    }
+
+    const addOption = (value: string, label: string) => {
+      const option = DOMcreate("option", "", select);
+      option.value = value;
+      option.textContent = label;
+    };
+
+    if (placeholder === null) {
+      addOption(noLanguageValue, "—");
+    } else {
+      addOption(placeholder, languageNativeNames[placeholder]);
+    }
+
+    languages.forEach((lang) => addOption(lang, languageNativeNames[lang]));
+  }
+
+  _updateLanguageLists() {
+    const languages = this._getListedLanguages();
+
+    if (languages.join(",") === this._listedLanguages) {
+      return;
+    }
+
+    this._listedLanguages = languages.join(",");
+
+    // The original labels of the style can be restored from the primary list
+    this._fillSelect(this._primarySelect, languages, Language.STYLE_LOCK);
+
+    if (this._secondarySelect) {
+      this._fillSelect(this._secondarySelect, languages, null);
+    }
+
+    this._updateSelection();
+  }
+
+  /**
+   * Selects the given value in a list. A language that is not listed
+   * (e.g. left out by the `languages` option) is added to the list to be selected.
+   */
+  _selectValue(select: HTMLSelectElement, value: string) {
+    const listed = Array.from(select.options).some(
+      (option) => option.value === value
+    );
+
+    if (!listed) {
+      const option = DOMcreate("option", "", select);
+      option.value = value;
+      option.textContent =
+        languageNativeNames[value as LanguageString] ?? value;
+    }
+
+    select.value = value;
+  }
+
+  /**
+   * Selects the languages of the map in the lists
+   */
+  _updateSelection() {
+    const primary = this._map.getPrimaryLanguage();
+
+    // A fallback chain is shown with its first language,
+    // and `Language.AUTO` with the language it resolves to
+    const resolve = (lang: LanguageString) =>
+      lang === Language.AUTO ? getBrowserLanguage() : lang;
+
+    this._selectValue(
+      this._primarySelect,
+      resolve(Array.isArray(primary) ? primary[0] : primary) ?? ""
+    );
+
+    if (this._secondarySelect) {
+      this._selectValue(
+        this._secondarySelect,
+        resolve(this._map.getSecondaryLanguage()) ?? noLanguageValue
+      );
+      this._secondarySelect.disabled = primary === Language.STYLE_LOCK;
+    }
+  }
+
+  _onSourceData(e: maplibregl.MapSourceDataEvent) {
+    // The names in the data are only known once the tiles of the view are loaded
+    if (e.isSourceLoaded) {
+      this._updateLanguageLists();
+    }
+  }
+
+  _onPrimaryChange() {
+    this._map.setPrimaryLanguage(this._primarySelect.value as LanguageString);
+  }
+
+  _onSecondaryChange() {
+    // The placeholder removes the secondary language
+    this._map.setSecondaryLanguage(
+      this._secondarySelect.selectedIndex === 0
+        ? null
+        : (this._secondarySelect.value as LanguageString)
+    );
+  }
+}
@@ -3,6 +3,7 @@ import type { LogoOptions as LogoOptionsML } from "maplibre-gl";
 import { defaults } from "./defaults";
 import { Map } from "./Map";
 import { LogoControl } from "./LogoControl";
+import { toMaptilerURL } from "./requests";
 
 type LogoOptions = LogoOptionsML & {
   logoURL?: string;
@@ -37,7 +38,10 @@ export class MaptilerLogoControl extends LogoControl {
     anchor.style.margin = "0 0 -4px -4px";
     anchor.style.overflow = "hidden";
     anchor.style.width = "88px";
-    anchor.style.backgroundImage = `url(${this.logoURL})`;
+    anchor.style.backgroundImage = `url(${toMaptilerURL(
+      this.logoURL,
+      map.getSdkConfig()
+    )})`;
     anchor.style.backgroundSize = "100px 30px";
     anchor.style.width = "100px";
     anchor.style.height = "30px";
@@ -0,0 +1,181 @@
+import { bindAll, DOMcreate, DOMremove } from "./tools";
+
+import { Map } from "./Map";
+import maplibregl from "maplibre-gl";
+import {
+  MapStyle,
+  MapStyleVariant,
+  ReferenceMapStyle,
+  mapStylePresetList,
+} from "@maptiler/client";
+import { toMaptilerRequestURL } from "./requests";
+import { defaults } from "./defaults";
+
+/**
+ * Options of the `MaptilerStyleSwitcherControl`
+ */
+export type MaptilerStyleSwitcherControlOptions = {
+  /**
+   * Styles to choose from, as reference styles (eg. `MapStyle.STREETS`) or variants (eg. `MapStyle.STREETS.DARK`).
+   * (default: all the MapTiler reference styles)
+   */
+  styles?: Array<ReferenceMapStyle | MapStyleVariant>;
+
+  /**
+   * List the variants of each reference style (dark, light, pastel...). (default: `true`)
+   */
+  variants?: boolean;
+};
+
+/**
+ * A `MaptilerStyleSwitcherControl` control adds a button showing the thumbnail of the current style
+ * that opens a list of styles to switch to. The terrain, the languages and the layers added to the map are kept.
+ */
+export class MaptilerStyleSwitcherControl implements maplibregl.IControl {
+  _map: Map;
+  _container: HTMLElement;
+  _button: HTMLButtonElement;
+  _list: HTMLElement;
+  _options: MaptilerStyleSwitcherControlOptions;
+
+  constructor(options: MaptilerStyleSwitcherControlOptions = {}) {
+    this._options = {
+      variants: true,
+      ...options,
+    };
+    bindAll(["_toggleList", "_updateCurrentStyle"], this);
+  }
+
+  onAdd(map: Map) {
+    this._map = map;
+    this._container = DOMcreate(
+      "div",
+      "maplibregl-ctrl maplibregl-ctrl-group maplibregl-ctrl-style-switcher"
+    );
+
+    this._button = DOMcreate(
+      "button",
+      "maplibregl-ctrl-style-switcher-button",
+      this._container
+    );
+    this._button.type = "button";
+    this._button.setAttribute("aria-expanded", "false");
+    this._button.addEventListener("click", this._toggleList);
+
+    this._list = DOMcreate(
+      "div",
+      "maplibregl-ctrl-style-switcher-list",
+      this._container
+    );
+    this._list.hidden = true;
+    this._getStyleGroups().forEach((variants) => this._addStyleGroup(variants));
+
+    this._updateCurrentStyle();
+    this._map.on("styledata", this._updateCurrentStyle);
+    return this._container;
+  }
+
+  onRemove() {
+    DOMremove(this._container);
+    this._map.off("styledata", this._updateCurrentStyle);
+    this._map = undefined;
+  }
+
+  /**
+   * Variants to list for each of the styles
+   */
+  _getStyleGroups(): Array<Array<MapStyleVariant>> {
+    const styles =
+      this._options.styles ??
+      mapStylePresetList.map((preset) => MapStyle[preset.referenceStyleID]);
+
+    return styles.map((style) => {
+      if (style instanceof MapStyleVariant) {
+        return [style];
+      }
+
+      return this._options.variants
+        ? style.getVariants()
+        : [style.getDefaultVariant()];
+    });
+  }
+
+  _addStyleGroup(variants: Array<MapStyleVariant>) {
+    const group = DOMcreate(
+      "div",
+      "maplibregl-ctrl-style-switcher-group",
+      this._list
+    );
+
+    variants.forEach((variant, i) => {
+      // The first variant of a group is shown bigger, with the name of the style
+      const item = DOMcreate(
+        "button",
+        i === 0
+          ? "maplibregl-ctrl-style-switcher-item"
+          : "maplibregl-ctrl-style-switcher-item maplibregl-ctrl-style-switcher-variant",
+        group
+      );
+      item.type = "button";
+      item.title = variant.getFullName();
+      item.dataset.styleId = variant.getId();
+      item.style.backgroundImage = `url(${this._getThumbnailURL(variant)})`;
+      item.addEventListener("click", () => this._switchStyle(variant));
+
+      if (i === 0) {
+        DOMcreate(
+          "span",
+          "maplibregl-ctrl-style-switcher-name",
+          item
+        ).textContent = variant.getName();
+      }
+    });
+  }
+
+  _getThumbnailURL(variant: MapStyleVariant): string {
+    // Without an image provided for the variant, the world tile of the style is shown
+    const url =
+      variant.getImageURL() ||
+      defaults.styleThumbnailURL.replace("{style}", variant.getId());
+
+    return toMaptilerRequestURL(url, this._map.getSdkConfig());
+  }
+
+  _switchStyle(variant: MapStyleVariant) {
+    this._map.setStyle(variant, { keepUserLayers: true });
+    this._toggleList();
+  }
+
+  _toggleList() {
+    this._list.hidden = !this._list.hidden;
+    this._button.setAttribute("aria-expanded", (!this._list.hidden).toString());
+  }
+
+  /**
+   * Shows the thumbnail of the current style on the button and highlights it in the list
+   */
+  _updateCurrentStyle() {
+    const styleId = this._map.getState().style;
+    let current: HTMLElement | null = null;
+
+    this._list
+      .querySelectorAll<HTMLElement>(".maplibregl-ctrl-style-switcher-item")
+      .forEach((item) => {
+        const isCurrent = item.dataset.styleId === styleId;
+        item.classList.toggle(
+          "maplibregl-ctrl-style-switcher-item-active",
+          isCurrent
+        );
+
+        if (isCurrent) {
+          current = item;
+        }
+      });
+
+    // A style that is not listed is shown with no thumbnail
+    this._button.style.backgroundImage = current
+      ? current.style.backgroundImage
+      : "";
+    this._button.title = current ? current.title : "";
+  }
+}
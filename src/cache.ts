@@ -0,0 +1,368 @@
+import maplibregl from "maplibre-gl";
+import { defaults } from "./defaults";
+import { config } from "./config";
+import { createProtocolHandler } from "./protocols";
+import { throttle } from "./tools";
+
+/**
+ * A resource stored in the cache
+ */
+export type CacheEntry = {
+  /**
+   * Raw content of the resource
+   */
+  data: ArrayBuffer;
+
+  /**
+   * Content type of the resource, as given by the server
+   */
+  contentType: string;
+
+  /**
+   * Timestamp (in milliseconds) of when the resource was stored
+   */
+  storedAt: number;
+};
+
+/**
+ * Storage backend of the cache. Adapters are provided for the browser Cache API (`BrowserCacheAdapter`)
+ * and for in-memory storage (`MemoryCacheAdapter`), but any storage can be used by implementing this interface
+ * (eg. IndexedDB or the filesystem in a test environment).
+ */
+export interface CacheAdapter {
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  keys(): Promise<Array<string>>;
+}
+
+/**
+ * Cache adapter storing the resources in memory. Nothing persists after a page reload.
+ */
+export class MemoryCacheAdapter implements CacheAdapter {
+  private entries: { [key: string]: CacheEntry } = {};
+
+  async get(key: string): Promise<CacheEntry | null> {
+    return this.entries[key] ?? null;
+  }
+
+  async set(key: string, entry: CacheEntry): Promise<void> {
+    this.entries[key] = entry;
+  }
+
+  async delete(key: string): Promise<void> {
+    delete this.entries[key];
+  }
+
+  async keys(): Promise<Array<string>> {
+    return Object.keys(this.entries);
+  }
+}
+
+/**
+ * Cache adapter using the Cache API of the browser. The resources persist after a page reload.
+ */
+export class BrowserCacheAdapter implements CacheAdapter {
+  private cacheName: string;
+
+  constructor(cacheName: string = defaults.cacheName) {
+    this.cacheName = cacheName;
+  }
+
+  // The Cache API requires keys that are valid URLs
+  private toRequestURL(key: string): string {
+    return `https://${defaults.cacheProtocol}/${encodeURIComponent(key)}`;
+  }
+
+  async get(key: string): Promise<CacheEntry | null> {
+    const cache = await caches.open(this.cacheName);
+    const res = await cache.match(this.toRequestURL(key));
+
+    if (!res) {
+      return null;
+    }
+
+    return {
+      data: await res.arrayBuffer(),
+      contentType: res.headers.get("content-type") ?? "",
+      storedAt:
+        parseInt(res.headers.get(defaults.cacheStoredAtHeader), 10) || 0,
+    };
+  }
+
+  async set(key: string, entry: CacheEntry): Promise<void> {
+    const cache = await caches.open(this.cacheName);
+    await cache.put(
+      this.toRequestURL(key),
+      new Response(entry.data, {
+        headers: {
+          "content-type": entry.contentType,
+          [defaults.cacheStoredAtHeader]: entry.storedAt.toString(),
+        },
+      })
+    );
+  }
+
+  async delete(key: string): Promise<void> {
+    const cache = await caches.open(this.cacheName);
+    await cache.delete(this.toRequestURL(key));
+  }
+
+  async keys(): Promise<Array<string>> {
+    const cache = await caches.open(this.cacheName);
+    const requests = await cache.keys();
+    const prefix = this.toRequestURL("");
+
+    return requests
+      .map((req) => req.url)
+      .filter((url) => url.startsWith(prefix))
+      .map((url) => decodeURIComponent(url.slice(prefix.length)));
+  }
+}
+
+/**
+ * Options of the MapTiler Cloud cache
+ */
+export type MaptilerCacheOptions = {
+  /**
+   * Storage of the cache. (default: `BrowserCacheAdapter` if the Cache API is available, `MemoryCacheAdapter` otherwise)
+   */
+  adapter?: CacheAdapter;
+
+  /**
+   * Maximum size of the cache in bytes. The oldest resources are removed first. (default: 100MB)
+   */
+  maxSize?: number;
+
+  /**
+   * Time to live of the resources in milliseconds. Past this duration, a resource is fetched again,
+   * yet the expired version is still used if the network is not available. (default: 7 days)
+   */
+  ttl?: number;
+};
+
+/**
+ * Cache for the requests to MapTiler Cloud: tiles, TileJSON, styles, glyphs and sprites.
+ * It is enabled by assigning an instance to `config.cache`.
+ */
+export class MaptilerCache {
+  private adapter: CacheAdapter;
+  private maxSize: number;
+  private ttl: number;
+
+  // Size and storage time of each entry, stored as an entry of its own so that the sizes are known
+  // without reading the resources, and loaded from the adapter on first use
+  private index: Promise<{
+    [key: string]: { size: number; storedAt: number };
+  }> | null = null;
+
+  // (the index is saved at most once per interval, rather than after each resource)
+  private saveIndex = throttle(() => {
+    this.getIndex()
+      .then((index) =>
+        this.adapter.set(defaults.cacheIndexKey, {
+          data: new TextEncoder().encode(JSON.stringify(index)).buffer,
+          contentType: "application/json",
+          storedAt: Date.now(),
+        })
+      )
+      .catch(() => null);
+  }, defaults.cacheIndexSaveInterval);
+
+  constructor(options: MaptilerCacheOptions = {}) {
+    this.adapter =
+      options.adapter ??
+      (typeof caches !== "undefined"
+        ? new BrowserCacheAdapter()
+        : new MemoryCacheAdapter());
+    this.maxSize = options.maxSize ?? defaults.cacheMaxSize;
+    this.ttl = options.ttl ?? defaults.cacheTTL;
+  }
+
+  /**
+   * The key of an entry is its URL without the API key and the session ID,
+   * so that the cache remains valid across sessions
+   */
+  static urlToKey(url: string): string {
+    const keyUrl = new URL(url);
+    keyUrl.searchParams.delete("key");
+    keyUrl.searchParams.delete("mtsid");
+    return keyUrl.href;
+  }
+
+  private getIndex() {
+    if (!this.index) {
+      this.index = Promise.all([
+        this.adapter.get(defaults.cacheIndexKey),
+        this.adapter.keys(),
+      ]).then(async ([indexEntry, keys]) => {
+        const index = {};
+        let storedIndex = {};
+
+        try {
+          storedIndex = JSON.parse(new TextDecoder().decode(indexEntry.data));
+        } catch (e) {
+          // Without an index, or with a damaged one, the cache starts over
+        }
+
+        for (const key of keys) {
+          if (key === defaults.cacheIndexKey) {
+            continue;
+          }
+
+          // A resource missing from the index (eg. stored right before the page was closed) has an unknown size
+          if (storedIndex[key]) {
+            index[key] = storedIndex[key];
+          } else {
+            await this.adapter.delete(key);
+          }
+        }
+
+        return index;
+      });
+    }
+
+    return this.index;
+  }
+
+  /**
+   * Get a resource from the cache if present and not expired, otherwise from the network.
+   * If the network fails, an expired resource is still returned.
+   * @param url
+   * @param headers headers of the request, if fetched from the network
+   * @returns
+   */
+  async fetch(url: string, headers?: HeadersInit): Promise<CacheEntry> {
+    const key = MaptilerCache.urlToKey(url);
+    const cachedEntry = await this.adapter.get(key);
+
+    if (cachedEntry && Date.now() - cachedEntry.storedAt < this.ttl) {
+      return cachedEntry;
+    }
+
+    let res: Response;
+
+    try {
+      res = await fetch(url, { headers });
+    } catch (e) {
+      // Offline, the expired entry is better than nothing
+      if (cachedEntry) {
+        return cachedEntry;
+      }
+
+      throw e;
+    }
+
+    if (!res.ok) {
+      if (cachedEntry) {
+        return cachedEntry;
+      }
+
+      throw new Error(`The resource ${key} could not be fetched.`);
+    }
+
+    const entry: CacheEntry = {
+      data: await res.arrayBuffer(),
+      contentType: res.headers.get("content-type") ?? "",
+      storedAt: Date.now(),
+    };
+
+    await this.store(key, entry);
+    return entry;
+  }
+
+  private async store(key: string, entry: CacheEntry) {
+    // Resources bigger than the cache itself are not stored
+    if (entry.data.byteLength > this.maxSize) {
+      return;
+    }
+
+    const index = await this.getIndex();
+    await this.adapter.set(key, entry);
+    index[key] = { size: entry.data.byteLength, storedAt: entry.storedAt };
+    this.saveIndex();
+
+    // Removing the oldest entries until the cache fits its maximum size
+    let totalSize = Object.keys(index).reduce(
+      (size, k) => size + index[k].size,
+      0
+    );
+
+    if (totalSize <= this.maxSize) {
+      return;
+    }
+
+    const keysByAge = Object.keys(index).sort(
+      (a, b) => index[a].storedAt - index[b].storedAt
+    );
+
+    for (const oldKey of keysByAge) {
+      if (totalSize <= this.maxSize) {
+        break;
+      }
+
+      totalSize -= index[oldKey].size;
+      delete index[oldKey];
+      await this.adapter.delete(oldKey);
+    }
+  }
+
+  /**
+   * Get the total size of the cached resources in bytes
+   * @returns
+   */
+  async getSize(): Promise<number> {
+    const index = await this.getIndex();
+    return Object.keys(index).reduce((size, k) => size + index[k].size, 0);
+  }
+
+  /**
+   * Removes all the cached resources
+   */
+  async clear() {
+    const index = await this.getIndex();
+
+    for (const key of Object.keys(index)) {
+      delete index[key];
+      await this.adapter.delete(key);
+    }
+
+    this.saveIndex();
+  }
+}
+
+/**
+ * Rewrites a URL so that it is requested through the cache protocol
+ */
+export function toCacheProtocolURL(url: string): string {
+  return `${defaults.cacheProtocol}://${url}`;
+}
+
+const cacheProtocolHandler = createProtocolHandler(
+  async (requestParameters) => {
+    const url = requestParameters.url.slice(
+      `${defaults.cacheProtocol}://`.length
+    );
+    const headers = requestParameters.headers;
+
+    if (config.cache) {
+      return (await config.cache.fetch(url, headers)).data;
+    }
+
+    return (await fetch(url, { headers })).arrayBuffer();
+  }
+);
+
+let isCacheProtocolRegistered = false;
+
+/**
+ * Registers the protocol used to route the MapTiler Cloud requests through the cache (happens only once)
+ */
+export function registerCacheProtocol() {
+  if (isCacheProtocolRegistered) {
+    return;
+  }
+
+  maplibregl.addProtocol(defaults.cacheProtocol, cacheProtocolHandler);
+  isCacheProtocolRegistered = true;
+}
@@ -1,22 +1,197 @@
 import EventEmitter from "events";
-import { Language, LanguageString } from "./language";
+import { Language, LanguageString, LanguageFallbackChain } from "./language";
 import { config as clientConfig, FetchFunction } from "@maptiler/client";
 import { Unit } from "./unit";
+import type { MaptilerCache } from "./cache";
+import type { RequestInterceptor } from "./requests";
+import { defaults } from "./defaults";
+import { rewriteURLHost } from "./tools";
 
 /**
- * Configuration class for the SDK
+ * Settings that can be defined for a single map, otherwise inherited from the global config
+ */
+type SdkConfigSettings = {
+  primaryLanguage: LanguageString | LanguageFallbackChain | null;
+  secondaryLanguage: LanguageString | null;
+  session: boolean;
+  unit: Unit;
+  apiKey: string;
+  apiURL: string | null;
+  cdnURL: string | null;
+};
+
+/**
+ * Configuration class for the SDK.
+ * The global config is the one exported as `config`. Each map has its own config (see `Map.getSdkConfig()`)
+ * that inherits the settings of the global config, unless they are defined for this map only.
+ * An event named after the setting is emitted whenever a setting changes, including when an inherited setting
+ * changes in the global config.
  */
 class SdkConfig extends EventEmitter {
   /**
-   * The primary language. By default, the language of the web browser is used.
+   * Config from which the settings that are not defined here are inherited
    */
-  primaryLanguage: LanguageString | null = Language.AUTO;
+  private parent: SdkConfig | null;
+
+  /**
+   * The settings defined in this config
+   */
+  private settings: Partial<SdkConfigSettings>;
+
+  /**
+   * Configs inheriting the settings of this one, to which the setting changes are forwarded
+   * (directly rather than with listeners, since a listener per map and per setting would exceed the limit of the emitter)
+   */
+  private children: Array<SdkConfig> = [];
+
+  /**
+   * Cache for the requests to MapTiler Cloud, shared by all the maps
+   */
+  private _cache: MaptilerCache | null = null;
+
+  /**
+   * Interceptors applied to the requests of the maps using this config
+   */
+  private _requestInterceptors: Array<RequestInterceptor> = [];
+
+  /**
+   * The fetch function provided with `.fetch`, if any
+   */
+  private _fetch: FetchFunction | null = clientConfig.fetch;
+
+  constructor(parent: SdkConfig | null = null) {
+    super();
+    this.parent = parent;
+
+    if (!parent) {
+      this.settings = {
+        primaryLanguage: Language.AUTO,
+        secondaryLanguage: null,
+        session: true,
+        unit: "metric",
+        apiKey: "",
+        apiURL: null,
+        cdnURL: null,
+      };
+      return;
+    }
+
+    this.settings = {};
+
+    // The changes of an inherited setting are forwarded by the parent
+    parent.children.push(this);
+  }
+
+  private getSetting<K extends keyof SdkConfigSettings>(
+    name: K
+  ): SdkConfigSettings[K] {
+    if (name in this.settings || !this.parent) {
+      return this.settings[name] as SdkConfigSettings[K];
+    }
+
+    return this.parent.getSetting(name);
+  }
+
+  private setSetting<K extends keyof SdkConfigSettings>(
+    name: K,
+    value: SdkConfigSettings[K]
+  ) {
+    this.settings[name] = value;
+
+    if (!this.parent) {
+      this.updateClientConfig();
+    }
+
+    this.notifyChange(name, value);
+  }
+
+  /**
+   * Emits the change of a setting, here and in the configs that inherit it
+   */
+  private notifyChange(name: keyof SdkConfigSettings, value: unknown) {
+    this.emit(name, value);
+
+    this.children.forEach((child) => {
+      if (!(name in child.settings)) {
+        child.notifyChange(name, value);
+      }
+    });
+  }
+
+  /**
+   * Stop following the changes of the parent config.
+   * This is done when the map using this config is removed.
+   */
+  detach() {
+    if (!this.parent) {
+      return;
+    }
+
+    const index = this.parent.children.indexOf(this);
+
+    if (index !== -1) {
+      this.parent.children.splice(index, 1);
+    }
+  }
+
+  /**
+   * The client services (geocoding, static maps, etc.) use the global config
+   * and follow its API URL by wrapping the fetch function they use
+   */
+  private updateClientConfig() {
+    const apiKey = this.settings.apiKey;
+    const apiURL = this.settings.apiURL;
+
+    if (!apiURL) {
+      clientConfig.apiKey = apiKey;
+      clientConfig.fetch = this._fetch;
+      return;
+    }
+
+    // The client refuses to make a request without API key,
+    // so a placeholder is given and removed before the request is sent
+    clientConfig.apiKey = apiKey || "proxy";
+    clientConfig.fetch = (url: string, options: object) => {
+      const reqUrl = new URL(
+        rewriteURLHost(url, defaults.maptilerApiHost, apiURL)
+      );
+      reqUrl.searchParams.delete("key");
+
+      const fetchFunction = this._fetch ?? fetch;
+      return fetchFunction(reqUrl.href, options);
+    };
+  }
 
   /**
-   * The secondary language, to overwrite the default language defined in the map style.
+   * Set the primary language. By default, the language of the web browser is used.
+   * This can also be a fallback chain (eg. `["rm", "de", "fr", Language.LATIN]`), so that each label
+   * displays the first language available, or the local name if none is available.
+   */
+  set primaryLanguage(language: LanguageString | LanguageFallbackChain | null) {
+    this.setSetting("primaryLanguage", language);
+  }
+
+  /**
+   * Get the primary language
+   */
+  get primaryLanguage(): LanguageString | LanguageFallbackChain | null {
+    return this.getSetting("primaryLanguage");
+  }
+
+  /**
+   * Set the secondary language, to overwrite the default language defined in the map style.
    * This settings is highly dependant on the style compatibility and may not work in most cases.
    */
-  secondaryLanguage: LanguageString | null = null;
+  set secondaryLanguage(language: LanguageString | null) {
+    this.setSetting("secondaryLanguage", language);
+  }
+
+  /**
+   * Get the secondary language
+   */
+  get secondaryLanguage(): LanguageString | null {
+    return this.getSetting("secondaryLanguage");
+  }
 
   /**
    * Setting on whether of not the SDK runs with a session logic.
@@ -25,65 +200,151 @@ class SdkConfig extends EventEmitter {
    * When `session` is enabled (default: true), the extra URL param `mtsid` is added to queries
    * on the MapTiler Cloud API. This allows MapTiler to enable "session based billing".
    */
-  session = true;
+  set session(s: boolean) {
+    this.setSetting("session", s);
+  }
 
   /**
-   * Unit to be used
+   * Get whether the SDK runs with a session logic
    */
-  private _unit: Unit = "metric";
+  get session(): boolean {
+    return this.getSetting("session");
+  }
 
   /**
-   * MapTiler Cloud API key
+   * Cache for the requests to MapTiler Cloud (tiles, TileJSON, styles, glyphs and sprites).
+   * Disabled by default (`null`), it is enabled by assigning an instance of `MaptilerCache`,
+   * before creating the maps. The cache is shared by all the maps, so it is always the one of the global config.
    */
-  private _apiKey = "";
+  set cache(c: MaptilerCache | null) {
+    if (this.parent) {
+      this.parent.cache = c;
+    } else {
+      this._cache = c;
+    }
+  }
 
-  constructor() {
-    super();
+  /**
+   * Get the cache for the requests to MapTiler Cloud
+   */
+  get cache(): MaptilerCache | null {
+    return this.parent ? this.parent.cache : this._cache;
   }
 
   /**
    * Set the unit system
    */
   set unit(u: Unit) {
-    this._unit = u;
-    this.emit("unit", u);
+    this.setSetting("unit", u);
   }
 
   /**
    * Get the unit system
    */
   get unit(): Unit {
-    return this._unit;
+    return this.getSetting("unit");
   }
 
   /**
    * Set the MapTiler Cloud API key
    */
   set apiKey(k: string) {
-    this._apiKey = k;
-    clientConfig.apiKey = k;
-    this.emit("apiKey", k);
+    this.setSetting("apiKey", k);
   }
 
   /**
    * Get the MapTiler Cloud API key
    */
   get apiKey(): string {
-    return this._apiKey;
+    return this.getSetting("apiKey");
+  }
+
+  /**
+   * Set a base URL that replaces MapTiler Cloud (`https://api.maptiler.com/`) in all the requests:
+   * styles, tiles, terrain, logo and client services. This is typically a reverse proxy that adds
+   * the API key on the server side, so the SDK never adds the API key to the requests when an API URL is set.
+   * The path and the query of the requests are kept, eg. with `"https://example.com/maptiler/"`,
+   * the style `https://api.maptiler.com/maps/streets-v2/style.json` is requested from
+   * `https://example.com/maptiler/maps/streets-v2/style.json`.
+   * Note that the client services always use the API URL of the global config.
+   * (default: `null`, the requests go to MapTiler Cloud)
+   */
+  set apiURL(url: string | null) {
+    this.setSetting("apiURL", url);
+  }
+
+  /**
+   * Get the base URL that replaces MapTiler Cloud
+   */
+  get apiURL(): string | null {
+    return this.getSetting("apiURL");
+  }
+
+  /**
+   * Set a base URL that replaces MapTiler CDN (`https://cdn.maptiler.com/`), where the right-to-left text plugin comes from.
+   * (default: `null`, the plugin comes from MapTiler CDN)
+   */
+  set cdnURL(url: string | null) {
+    this.setSetting("cdnURL", url);
+  }
+
+  /**
+   * Get the base URL that replaces MapTiler CDN
+   */
+  get cdnURL(): string | null {
+    return this.getSetting("cdnURL");
+  }
+
+  /**
+   * Add an interceptor that applies to the requests of the maps using this config
+   * (all the maps in the case of the global config), after the built-in MapTiler logic
+   * (API key and session) and after the interceptors of the parent config.
+   * Interceptors can rewrite URLs or add headers.
+   * @param interceptor
+   */
+  addRequestInterceptor(interceptor: RequestInterceptor) {
+    this._requestInterceptors.push(interceptor);
+  }
+
+  /**
+   * Remove an interceptor that was added with `.addRequestInterceptor()`
+   * @param interceptor
+   */
+  removeRequestInterceptor(interceptor: RequestInterceptor) {
+    this._requestInterceptors = this._requestInterceptors.filter(
+      (i) => i !== interceptor
+    );
+  }
+
+  /**
+   * Get the interceptors that apply to the requests, including the ones of the parent config
+   */
+  get requestInterceptors(): Array<RequestInterceptor> {
+    return [
+      ...(this.parent ? this.parent.requestInterceptors : []),
+      ...this._requestInterceptors,
+    ];
   }
 
   /**
-   * Set a the custom fetch function to replace the default one
+   * Set a the custom fetch function to replace the default one.
+   * It is used by the client services, so it is always the one of the global config.
    */
   set fetch(f: FetchFunction) {
-    clientConfig.fetch = f;
+    if (this.parent) {
+      this.parent.fetch = f;
+      return;
+    }
+
+    this._fetch = f;
+    this.updateClientConfig();
   }
 
   /**
    * Get the fetch fucntion
    */
   get fetch(): FetchFunction | null {
-    return clientConfig.fetch;
+    return this.parent ? this.parent.fetch : this._fetch;
   }
 }
 
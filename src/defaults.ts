@@ -7,12 +7,40 @@ const defaults = {
   maptilerLogoURL: "https://api.maptiler.com/resources/logo.svg",
   maptilerURL: "https://www.maptiler.com/",
   maptilerApiHost: "api.maptiler.com",
+  maptilerCdnHost: "cdn.maptiler.com",
   rtlPluginURL:
     "https://cdn.maptiler.com/mapbox-gl-rtl-text/v0.2.3/mapbox-gl-rtl-text.min.js",
   primaryLanguage: Language.AUTO,
   secondaryLanguage: Language.LOCAL,
   terrainSourceURL: "https://api.maptiler.com/tiles/terrain-rgb-v2/tiles.json",
   terrainSourceId: "maptiler-terrain",
+  styleThumbnailURL: "https://api.maptiler.com/maps/{style}/256/0/0/0.png",
+  terrainAnimationDuration: 1000,
+  elevationTileCacheSize: 64,
+  elevationMaxZoom: 12,
+  elevationProfileSamples: 100,
+  earthRadius: 6371008.8,
+  stateHashName: "map",
+  cacheName: "maptiler-sdk",
+  cacheProtocol: "maptiler-cache",
+  maptilerProtocol: "maptiler",
+  pmtilesProtocol: "pmtiles",
+  mbtilesProtocol: "mbtiles",
+  cacheStoredAtHeader: "x-maptiler-sdk-stored-at",
+  cacheIndexKey: "maptiler-sdk-cache-index",
+  cacheIndexSaveInterval: 1000,
+  cacheMaxSize: 100 * 1024 * 1024,
+  cacheTTL: 7 * 24 * 3600 * 1000,
+  maxRegionTileCount: 20000,
+  regionDownloadConcurrency: 4,
+  controlPositions: {
+    scaleControl: "bottom-right",
+    navigationControl: "top-right",
+    geolocateControl: "top-right",
+    terrainControl: "top-right",
+    fullscreenControl: "top-right",
+    languageControl: "top-right",
+  } as const,
 };
 
 Object.freeze(defaults);
@@ -0,0 +1,567 @@
+import maplibregl from "maplibre-gl";
+import type {
+  Map as MapMLGL,
+  LngLat,
+  RasterDEMSourceSpecification,
+  ResourceType,
+  Tile,
+} from "maplibre-gl";
+import { defaults } from "./defaults";
+import type { RequestTransformer } from "./requests";
+import { fetchProtocolRequest } from "./protocols";
+import { Unit } from "./unit";
+import type { Feature, LineString } from "geojson";
+
+const MercatorCoordinate = maplibregl.MercatorCoordinate;
+
+/**
+ * Options for querying elevations on a map
+ */
+export type ElevationQueryOptions = {
+  /**
+   * Multiply the elevation by the exaggeration factor of the terrain, if the terrain is enabled. (default: `false`)
+   */
+  exaggerated?: boolean;
+
+  /**
+   * Unit system of the returned elevation: meters for `"metric"` and feet for `"imperial"` and `"nautical"`.
+   * (default: `config.unit`)
+   */
+  unit?: Unit;
+};
+
+/**
+ * Options for computing an elevation profile
+ */
+export type ElevationProfileOptions = ElevationQueryOptions & {
+  /**
+   * Number of locations evenly distributed along the line where the elevation is computed. (default: `100`)
+   */
+  samples?: number;
+};
+
+/**
+ * A location along an elevation profile
+ */
+export type ElevationProfilePoint = {
+  /**
+   * Position as [longitude, latitude]
+   */
+  lngLat: [number, number];
+
+  /**
+   * Distance from the begining of the line, in meters (or feet with imperial and nautical unit systems)
+   */
+  distance: number;
+
+  /**
+   * Elevation in meters (or feet with imperial and nautical unit systems)
+   */
+  elevation: number;
+};
+
+/**
+ * Elevation profile along a line
+ */
+export type ElevationProfile = {
+  points: Array<ElevationProfilePoint>;
+
+  /**
+   * Total length of the line
+   */
+  distance: number;
+
+  /**
+   * Cumulated positive elevation difference
+   */
+  ascent: number;
+
+  /**
+   * Cumulated negative elevation difference, as a positive number
+   */
+  descent: number;
+
+  /**
+   * Minimum elevation along the line
+   */
+  minElevation: number;
+
+  /**
+   * Maximum elevation along the line
+   */
+  maxElevation: number;
+};
+
+/**
+ * Decoded elevation tile, as a square grid of elevation in meters
+ */
+type ElevationTile = {
+  size: number;
+  elevations: Float32Array;
+};
+
+/**
+ * Description of where to fetch raster-dem tiles from
+ */
+type ElevationTileSet = {
+  tiles: Array<string>;
+  maxzoom: number;
+  encoding: "mapbox" | "terrarium";
+  scheme: "xyz" | "tms";
+};
+
+const FEET_PER_METER = 3.28084;
+
+// Latitude limit of the Web Mercator tiles
+const MAX_LATITUDE = 85.051129;
+
+// Width of the world in Web Mercator (EPSG:3857) coordinates, in meters
+const MERCATOR_WORLD_SIZE = 2 * Math.PI * 6378137;
+
+// Decoded tiles are kept so that consecutive queries on a similar area do not fetch the same tiles again
+const elevationTileCache: { [url: string]: Promise<ElevationTile> } = {};
+const elevationTileCacheKeys: Array<string> = [];
+
+const tileSetCache: { [url: string]: Promise<ElevationTileSet> } = {};
+
+/**
+ * Converts an elevation in meters into the given unit system
+ */
+function elevationToUnit(elevation: number, unit: Unit): number {
+  return unit === "metric" ? elevation : elevation * FEET_PER_METER;
+}
+
+/**
+ * Converts a distance in meters into the given unit system
+ */
+function distanceToUnit(distance: number, unit: Unit): number {
+  return unit === "metric" ? distance : distance * FEET_PER_METER;
+}
+
+/**
+ * Great-circle distance in meters between two positions as [lng, lat]
+ */
+function haversineDistance(from: Array<number>, to: Array<number>): number {
+  const toRadians = Math.PI / 180;
+  const lat1 = from[1] * toRadians;
+  const lat2 = to[1] * toRadians;
+  const deltaLat = lat2 - lat1;
+  const deltaLng = (to[0] - from[0]) * toRadians;
+
+  const a =
+    Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
+    Math.cos(lat1) *
+      Math.cos(lat2) *
+      Math.sin(deltaLng / 2) *
+      Math.sin(deltaLng / 2);
+
+  return 2 * defaults.earthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Get the positions and distances (in meters) of a given number of locations
+ * evenly distributed along a line
+ */
+function sampleLineString(
+  lineString: LineString | Feature<LineString>,
+  samples: number
+): Array<{ lngLat: [number, number]; distance: number }> {
+  const coordinates =
+    lineString.type === "Feature"
+      ? lineString.geometry.coordinates
+      : lineString.coordinates;
+
+  if (coordinates.length < 2) {
+    throw new Error("A LineString must contain at least two positions.");
+  }
+
+  // Cumulated distance at each vertex of the line
+  const cumulatedDistances = [0];
+
+  for (let i = 1; i < coordinates.length; i += 1) {
+    cumulatedDistances.push(
+      cumulatedDistances[i - 1] +
+        haversineDistance(coordinates[i - 1], coordinates[i])
+    );
+  }
+
+  const totalDistance = cumulatedDistances[cumulatedDistances.length - 1];
+  const sampleCount = Math.max(2, Math.round(samples));
+  const sampledPositions = [];
+  let segment = 0;
+
+  for (let i = 0; i < sampleCount; i += 1) {
+    const distance = (totalDistance * i) / (sampleCount - 1);
+
+    while (
+      segment < coordinates.length - 2 &&
+      cumulatedDistances[segment + 1] < distance
+    ) {
+      segment += 1;
+    }
+
+    const segmentLength =
+      cumulatedDistances[segment + 1] - cumulatedDistances[segment];
+    const ratio =
+      segmentLength > 0
+        ? (distance - cumulatedDistances[segment]) / segmentLength
+        : 0;
+    const from = coordinates[segment];
+    const to = coordinates[segment + 1];
+
+    sampledPositions.push({
+      lngLat: [
+        from[0] + (to[0] - from[0]) * ratio,
+        from[1] + (to[1] - from[1]) * ratio,
+      ],
+      distance,
+    });
+  }
+
+  return sampledPositions;
+}
+
+/**
+ * Builds an elevation profile from sampled locations and their elevations (in the same unit system)
+ */
+function computeElevationProfile(
+  samples: Array<{ lngLat: [number, number]; distance: number }>,
+  elevations: Array<number>,
+  unit: Unit
+): ElevationProfile {
+  const points = samples.map((sample, i) => ({
+    lngLat: sample.lngLat,
+    distance: distanceToUnit(sample.distance, unit),
+    elevation: elevations[i],
+  }));
+
+  let ascent = 0;
+  let descent = 0;
+
+  for (let i = 1; i < elevations.length; i += 1) {
+    const delta = elevations[i] - elevations[i - 1];
+
+    if (delta > 0) {
+      ascent += delta;
+    } else {
+      descent -= delta;
+    }
+  }
+
+  return {
+    points,
+    distance: points[points.length - 1].distance,
+    ascent,
+    descent,
+    minElevation: Math.min(...elevations),
+    maxElevation: Math.max(...elevations),
+  };
+}
+
+/**
+ * Get the position of a location within a tile, in the interval [0, 1[ on both axis,
+ * or `null` if the location is not covered by the tile.
+ */
+function positionInTile(
+  lngLat: LngLat,
+  z: number,
+  x: number,
+  y: number
+): [number, number] | null {
+  const mercator = MercatorCoordinate.fromLngLat(lngLat.wrap());
+  const tilesPerAxis = Math.pow(2, z);
+  const posX = mercator.x * tilesPerAxis - x;
+  const posY = mercator.y * tilesPerAxis - y;
+
+  if (posX < 0 || posX >= 1 || posY < 0 || posY >= 1) {
+    return null;
+  }
+
+  return [posX, posY];
+}
+
+/**
+ * Bilinear interpolation of the elevation from a grid accessor
+ */
+function interpolateElevation(
+  getter: (x: number, y: number) => number,
+  size: number,
+  posX: number,
+  posY: number
+): number {
+  const x = Math.min(posX * size, size - 1);
+  const y = Math.min(posY * size, size - 1);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, size - 1);
+  const y1 = Math.min(y0 + 1, size - 1);
+  const dx = x - x0;
+  const dy = y - y0;
+
+  const top = getter(x0, y0) * (1 - dx) + getter(x1, y0) * dx;
+  const bottom = getter(x0, y1) * (1 - dx) + getter(x1, y1) * dx;
+  return top * (1 - dy) + bottom * dy;
+}
+
+/**
+ * Get the elevation (in meters, not exaggerated) at a given location, using the raster-dem tiles
+ * that are already loaded by the map for the given source. The most detailed tile is used.
+ * Returns `null` if no loaded tile covers the location.
+ */
+function getElevationFromLoadedTiles(
+  map: MapMLGL,
+  sourceId: string,
+  lngLat: LngLat
+): number | null {
+  const sourceCache = map.style?.sourceCaches[sourceId];
+
+  if (!sourceCache) {
+    return null;
+  }
+
+  let bestTile: Tile = null;
+  let bestPosition: [number, number] = null;
+
+  Object.keys(sourceCache._tiles).forEach((key) => {
+    const tile = sourceCache._tiles[key];
+
+    if (!tile.dem) {
+      return;
+    }
+
+    const { z, x, y } = tile.tileID.canonical;
+
+    if (bestTile && bestTile.tileID.canonical.z >= z) {
+      return;
+    }
+
+    const position = positionInTile(lngLat, z, x, y);
+
+    if (position) {
+      bestTile = tile;
+      bestPosition = position;
+    }
+  });
+
+  if (!bestTile) {
+    return null;
+  }
+
+  return interpolateElevation(
+    (x, y) => bestTile.dem.get(x, y),
+    bestTile.dem.dim,
+    bestPosition[0],
+    bestPosition[1]
+  );
+}
+
+/**
+ * Resolves the tile URLs, max zoom and encoding of a raster-dem source.
+ * If the source only contains a TileJSON URL, the TileJSON is fetched.
+ */
+function getTileSet(
+  source: RasterDEMSourceSpecification,
+  transformRequest: RequestTransformer
+): Promise<ElevationTileSet> {
+  const encoding = source.encoding ?? "mapbox";
+
+  if (source.tiles) {
+    return Promise.resolve({
+      tiles: source.tiles,
+      maxzoom: source.maxzoom ?? 22,
+      encoding,
+      scheme: "xyz",
+    });
+  }
+
+  if (!(source.url in tileSetCache)) {
+    tileSetCache[source.url] = fetchProtocolRequest(
+      transformRequest(source.url, "Source" as ResourceType)
+    )
+      .then((res) => res.json())
+      .then((tileJson) => ({
+        tiles: tileJson.tiles,
+        maxzoom: source.maxzoom ?? tileJson.maxzoom ?? 22,
+        encoding,
+        scheme: tileJson.scheme ?? "xyz",
+      }));
+
+    // A failure must not be cached
+    tileSetCache[source.url].catch(() => {
+      delete tileSetCache[source.url];
+    });
+  }
+
+  return tileSetCache[source.url];
+}
+
+/**
+ * Gives the URL of a tile from the templates of a tile set, with the same placeholders as Maplibre
+ * (`{z}`, `{x}`, `{y}`, `{ratio}`, `{quadkey}`, `{bbox-epsg-3857}` and `{prefix}`)
+ */
+function toTileURL(
+  tileSet: ElevationTileSet,
+  z: number,
+  x: number,
+  y: number,
+  pixelRatio: number
+): string {
+  const tilesPerAxis = Math.pow(2, z);
+  // (computed as Maplibre does, from the pixels of 256px tiles, to get the very same URLs)
+  const resolution = MERCATOR_WORLD_SIZE / 256 / tilesPerAxis;
+  const toMercator = (tileCoordinate: number) =>
+    tileCoordinate * 256 * resolution - MERCATOR_WORLD_SIZE / 2;
+  // (row of the tile counted from the bottom, as in the TMS scheme)
+  const tmsY = tilesPerAxis - y - 1;
+
+  let quadkey = "";
+
+  for (let i = z; i > 0; i -= 1) {
+    const mask = 1 << (i - 1);
+    quadkey += (x & mask ? 1 : 0) + (y & mask ? 2 : 0);
+  }
+
+  return tileSet.tiles[(x + y) % tileSet.tiles.length]
+    .replace(/{prefix}/g, (x % 16).toString(16) + (y % 16).toString(16))
+    .replace(/{z}/g, z.toString())
+    .replace(/{x}/g, x.toString())
+    .replace(/{y}/g, (tileSet.scheme === "tms" ? tmsY : y).toString())
+    .replace(/{ratio}/g, pixelRatio > 1 ? "@2x" : "")
+    .replace(/{quadkey}/g, quadkey)
+    .replace(
+      /{bbox-epsg-3857}/g,
+      [
+        toMercator(x),
+        toMercator(tmsY),
+        toMercator(x + 1),
+        toMercator(tmsY + 1),
+      ].join(",")
+    );
+}
+
+/**
+ * Fetches a raster-dem tile and decodes it as a grid of elevations in meters
+ */
+async function fetchElevationTile(
+  url: string,
+  encoding: "mapbox" | "terrarium",
+  transformRequest: RequestTransformer
+): Promise<ElevationTile> {
+  const res = await fetchProtocolRequest(
+    transformRequest(url, "Tile" as ResourceType)
+  );
+
+  if (!res.ok) {
+    throw new Error(`The elevation tile ${url} could not be fetched.`);
+  }
+
+  const bitmap = await createImageBitmap(await res.blob());
+  const canvas = window.document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0);
+  const pixels = context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+  const elevations = new Float32Array(bitmap.width * bitmap.height);
+
+  for (let i = 0; i < elevations.length; i += 1) {
+    const r = pixels[i * 4];
+    const g = pixels[i * 4 + 1];
+    const b = pixels[i * 4 + 2];
+
+    elevations[i] =
+      encoding === "terrarium"
+        ? r * 256 + g + b / 256 - 32768
+        : -10000 + (r * 256 * 256 + g * 256 + b) * 0.1;
+  }
+
+  return { size: bitmap.width, elevations };
+}
+
+/**
+ * Get a decoded elevation tile, from the cache if possible
+ */
+function getElevationTile(
+  url: string,
+  encoding: "mapbox" | "terrarium",
+  transformRequest: RequestTransformer
+): Promise<ElevationTile> {
+  if (!(url in elevationTileCache)) {
+    elevationTileCache[url] = fetchElevationTile(
+      url,
+      encoding,
+      transformRequest
+    );
+    elevationTileCacheKeys.push(url);
+
+    // A failure must not be cached
+    elevationTileCache[url].catch(() => {
+      delete elevationTileCache[url];
+    });
+
+    if (elevationTileCacheKeys.length > defaults.elevationTileCacheSize) {
+      delete elevationTileCache[elevationTileCacheKeys.shift()];
+    }
+  }
+
+  return elevationTileCache[url];
+}
+
+/**
+ * Fetches the elevations (in meters, not exaggerated) of the given locations
+ * from the tiles of a raster-dem source (not from the elevation service of MapTiler Cloud),
+ * at the highest zoom level available up to `defaults.elevationMaxZoom`.
+ * The locations beyond the latitudes of the tiles get the elevation of the closest edge.
+ * The requests are made as the map makes them (API key, session, API URL, interceptors),
+ * with the given function, and the tile archives (`pmtiles://` and `mbtiles://`) are read directly.
+ */
+async function fetchElevations(
+  lngLats: Array<LngLat>,
+  source: RasterDEMSourceSpecification,
+  transformRequest: RequestTransformer,
+  pixelRatio: number
+): Promise<Array<number>> {
+  const tileSet = await getTileSet(source, transformRequest);
+  // (the max zoom of a source defined with tiles only is 22 by default, much more than the data)
+  const z = Math.min(tileSet.maxzoom, defaults.elevationMaxZoom);
+  const tilesPerAxis = Math.pow(2, z);
+
+  return Promise.all(
+    lngLats.map(async (lngLat) => {
+      const wrapped = lngLat.wrap();
+      const mercator = MercatorCoordinate.fromLngLat([
+        wrapped.lng,
+        Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, wrapped.lat)),
+      ]);
+      const clamp = (v: number) =>
+        Math.min(Math.max(Math.floor(v * tilesPerAxis), 0), tilesPerAxis - 1);
+      const x = clamp(mercator.x);
+      const y = clamp(mercator.y);
+
+      const url = toTileURL(tileSet, z, x, y, pixelRatio);
+
+      const tile = await getElevationTile(
+        url,
+        tileSet.encoding,
+        transformRequest
+      );
+
+      // (the position in the tile of the clamped location, that is always covered by the tile)
+      return interpolateElevation(
+        (px, py) => tile.elevations[py * tile.size + px],
+        tile.size,
+        Math.max(mercator.x * tilesPerAxis - x, 0),
+        Math.max(mercator.y * tilesPerAxis - y, 0)
+      );
+    })
+  );
+}
+
+export {
+  elevationToUnit,
+  getElevationFromLoadedTiles,
+  fetchElevations,
+  sampleLineString,
+  computeElevationProfile,
+};
@@ -110,7 +110,21 @@ export type MapMLGL = InstanceType<typeof MapMLGL>;
 
 // SDK specific
 import { Map, GeolocationType } from "./Map";
-import type { MapOptions, LoadWithTerrainEvent } from "./Map";
+import type {
+  MapOptions,
+  LoadWithTerrainEvent,
+  TerrainSource,
+  TerrainSourceSpecification,
+  TerrainAnimationOptions,
+  TerrainAnimationResult,
+  TerrainAnimationEvent,
+  LanguageChangeEvent,
+  LanguageMissingEvent,
+  StyleErrorEvent,
+  MapStyleInput,
+  OverlayOptions,
+  DownloadRegionOptions,
+} from "./Map";
 
 import { Marker } from "./Marker";
 import { Popup } from "./Popup";
@@ -134,7 +148,13 @@ import { TerrainControl } from "./TerrainControl";
 import { MaptilerGeolocateControl } from "./MaptilerGeolocateControl";
 import { MaptilerLogoControl } from "./MaptilerLogoControl";
 import { MaptilerTerrainControl } from "./MaptilerTerrainControl";
+import { MaptilerLanguageControl } from "./MaptilerLanguageControl";
+import type { MaptilerLanguageControlOptions } from "./MaptilerLanguageControl";
+import { MaptilerStyleSwitcherControl } from "./MaptilerStyleSwitcherControl";
+import type { MaptilerStyleSwitcherControlOptions } from "./MaptilerStyleSwitcherControl";
 import { MaptilerNavigationControl } from "./MaptilerNavigationControl";
+import { ElevationProfileControl } from "./ElevationProfileControl";
+import type { ElevationProfileControlOptions } from "./ElevationProfileControl";
 
 // importing client functions to expose them as part of the SDK
 import type {
@@ -168,13 +188,71 @@ import type { Matrix2 } from "./Point";
 
 // Importing enums and configs
 import { config, SdkConfig } from "./config";
-import { Language, LanguageString, LanguageKey, setPrimaryLanguage, setSecondaryLanguage } from "./language";
+import {
+  Language,
+  LanguageString,
+  LanguageKey,
+  setPrimaryLanguage,
+  setSecondaryLanguage,
+  resolveLanguage,
+} from "./language";
+import type {
+  LanguageFallbackChain,
+  LanguageScopeOptions,
+  SecondaryLanguageOptions,
+} from "./language";
 import type { Unit } from "./unit";
+import type { LayerAnchor } from "./mapstyle";
+import type { MapTheme } from "./theme";
+import { encodeMapState, decodeMapState } from "./mapstate";
+import type { MapState, MapControlName } from "./mapstate";
+import {
+  MaptilerCache,
+  MemoryCacheAdapter,
+  BrowserCacheAdapter,
+} from "./cache";
+import type { CacheAdapter, CacheEntry, MaptilerCacheOptions } from "./cache";
+import type { RequestInterceptor } from "./requests";
+import { addTileArchive, removeTileArchive } from "./protocols";
+import type { TileArchiveData } from "./tilearchive";
+import type {
+  ElevationQueryOptions,
+  ElevationProfileOptions,
+  ElevationProfile,
+  ElevationProfilePoint,
+} from "./elevation";
 
 // Exporting types
 export type {
   MapOptions,
   LoadWithTerrainEvent,
+  TerrainSource,
+  TerrainSourceSpecification,
+  TerrainAnimationOptions,
+  TerrainAnimationResult,
+  TerrainAnimationEvent,
+  LanguageChangeEvent,
+  LanguageMissingEvent,
+  StyleErrorEvent,
+  MapStyleInput,
+  OverlayOptions,
+  LayerAnchor,
+  MapTheme,
+  ElevationQueryOptions,
+  ElevationProfileOptions,
+  ElevationProfile,
+  ElevationProfilePoint,
+  ElevationProfileControlOptions,
+  MaptilerLanguageControlOptions,
+  MaptilerStyleSwitcherControlOptions,
+  MapState,
+  MapControlName,
+  DownloadRegionOptions,
+  CacheAdapter,
+  CacheEntry,
+  MaptilerCacheOptions,
+  RequestInterceptor,
+  TileArchiveData,
   GeocodingOptions,
   BBox,
   Position,
@@ -183,6 +261,9 @@ export type {
   BoundedStaticMapOptions,
   AutomaticStaticMapOptions,
   LanguageString,
+  LanguageFallbackChain,
+  LanguageScopeOptions,
+  SecondaryLanguageOptions,
   LanguageKey,
   LanguageGeocodingString,
   Unit,
@@ -224,11 +305,22 @@ export {
   LanguageGeocoding,
   setPrimaryLanguage,
   setSecondaryLanguage,
+  resolveLanguage,
   Point,
   ReferenceMapStyle,
   MapStyleVariant,
   MaptilerGeolocateControl,
   MaptilerLogoControl,
   MaptilerTerrainControl,
+  MaptilerLanguageControl,
+  MaptilerStyleSwitcherControl,
   MaptilerNavigationControl,
+  ElevationProfileControl,
+  encodeMapState,
+  decodeMapState,
+  MaptilerCache,
+  MemoryCacheAdapter,
+  BrowserCacheAdapter,
+  addTileArchive,
+  removeTileArchive,
 };
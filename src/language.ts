@@ -1,4 +1,8 @@
-import type { Map, SymbolLayerSpecification } from 'maplibre-gl';
+import type {
+  Map,
+  SymbolLayerSpecification,
+  ExpressionSpecification,
+} from "maplibre-gl";
 
 /**
  * Languages. Note that not all the languages of this list are available but the compatibility list may be expanded in the future.
@@ -11,8 +15,8 @@ const Language = {
 
   /**
    * STYLE is a custom flag to keep the language of the map as defined into the style.
-   * If STYLE is set in the constructor, then further modification of the language
-   * with `.setLanguage()` is not possible.
+   * Setting it after a language change restores the labels of the style. While it is set,
+   * the secondary language cannot be changed.
    */
   STYLE_LOCK: "style_lock",
 
@@ -123,300 +127,890 @@ type Values<T> = T[keyof T];
  */
 type LanguageString = Values<typeof Language>;
 
+/**
+ * Ordered list of languages: each label displays the first language available among them,
+ * or the local name if none is available (eg. `["rm", "de", "fr", Language.LATIN]`)
+ */
+type LanguageFallbackChain = Array<LanguageString>;
+
+/**
+ * Name of each language in the language itself, for display purposes
+ */
+const languageNativeNames: { [lang in LanguageString]: string } = {
+  [Language.AUTO]: "Auto",
+  [Language.STYLE_LOCK]: "Style",
+  [Language.LATIN]: "Latin",
+  [Language.NON_LATIN]: "Non-latin",
+  [Language.LOCAL]: "Local",
+  [Language.ALBANIAN]: "Shqip",
+  [Language.AMHARIC]: "አማርኛ",
+  [Language.ARABIC]: "العربية",
+  [Language.ARMENIAN]: "Հայերեն",
+  [Language.AZERBAIJANI]: "Azərbaycanca",
+  [Language.BASQUE]: "Euskara",
+  [Language.BELORUSSIAN]: "Беларуская",
+  [Language.BOSNIAN]: "Bosanski",
+  [Language.BRETON]: "Brezhoneg",
+  [Language.BULGARIAN]: "Български",
+  [Language.CATALAN]: "Català",
+  [Language.CHINESE]: "中文",
+  [Language.CORSICAN]: "Corsu",
+  [Language.CROATIAN]: "Hrvatski",
+  [Language.CZECH]: "Čeština",
+  [Language.DANISH]: "Dansk",
+  [Language.DUTCH]: "Nederlands",
+  [Language.ENGLISH]: "English",
+  [Language.ESPERANTO]: "Esperanto",
+  [Language.ESTONIAN]: "Eesti",
+  [Language.FINNISH]: "Suomi",
+  [Language.FRENCH]: "Français",
+  [Language.FRISIAN]: "Frysk",
+  [Language.GEORGIAN]: "ქართული",
+  [Language.GERMAN]: "Deutsch",
+  [Language.GREEK]: "Ελληνικά",
+  [Language.HEBREW]: "עברית",
+  [Language.HINDI]: "हिन्दी",
+  [Language.HUNGARIAN]: "Magyar",
+  [Language.ICELANDIC]: "Íslenska",
+  [Language.INDONESIAN]: "Bahasa Indonesia",
+  [Language.IRISH]: "Gaeilge",
+  [Language.ITALIAN]: "Italiano",
+  [Language.JAPANESE]: "日本語",
+  [Language.JAPANESE_HIRAGANA]: "ひらがな",
+  [Language.JAPANESE_KANA]: "カタカナ",
+  [Language.JAPANESE_LATIN]: "Nihongo (rōmaji)",
+  [Language.JAPANESE_2018]: "Nihongo",
+  [Language.KANNADA]: "ಕನ್ನಡ",
+  [Language.KAZAKH]: "Қазақша",
+  [Language.KOREAN]: "한국어",
+  [Language.KOREAN_LATIN]: "Hangugeo",
+  [Language.KURDISH]: "Kurdî",
+  [Language.ROMAN_LATIN]: "Latina",
+  [Language.LATVIAN]: "Latviešu",
+  [Language.LITHUANIAN]: "Lietuvių",
+  [Language.LUXEMBOURGISH]: "Lëtzebuergesch",
+  [Language.MACEDONIAN]: "Македонски",
+  [Language.MALAYALAM]: "മലയാളം",
+  [Language.MALTESE]: "Malti",
+  [Language.NORWEGIAN]: "Norsk",
+  [Language.OCCITAN]: "Occitan",
+  [Language.POLISH]: "Polski",
+  [Language.PORTUGUESE]: "Português",
+  [Language.ROMANIAN]: "Română",
+  [Language.ROMANSH]: "Rumantsch",
+  [Language.RUSSIAN]: "Русский",
+  [Language.SCOTTISH_GAELIC]: "Gàidhlig",
+  [Language.SERBIAN_CYRILLIC]: "Српски",
+  [Language.SERBIAN_LATIN]: "Srpski",
+  [Language.SLOVAK]: "Slovenčina",
+  [Language.SLOVENE]: "Slovenščina",
+  [Language.SPANISH]: "Español",
+  [Language.SWEDISH]: "Svenska",
+  [Language.TAMIL]: "தமிழ்",
+  [Language.TELUGU]: "తెలుగు",
+  [Language.THAI]: "ไทย",
+  [Language.TURKISH]: "Türkçe",
+  [Language.UKRAINIAN]: "Українська",
+  [Language.WELSH]: "Cymraeg",
+};
+
+// BCP-47 language tag: language, then optional extended language, script and region (the rest is ignored)
+const languageTagRegex =
+  /^([a-z]{2,3})(?:[-_][a-z]{3}){0,3}(?:[-_]([a-z]{4}))?(?:[-_]([a-z]{2}|\d{3}))?(?:[-_].*)?$/i;
+
+// Deprecated language subtags that are still in use
+const languageAliases: { [code: string]: string } = {
+  iw: "he",
+  in: "id",
+  nb: "no",
+  nn: "no",
+};
+
+// Languages whose script does not appear in the same form in the Language codes
+const languageScripts: { [tag: string]: LanguageString } = {
+  "ja-Kana": Language.JAPANESE_KANA,
+  "ja-Hrkt": Language.JAPANESE_KANA,
+};
+
+/**
+ * Finds the language that best matches a BCP-47 language tag (eg. `"pt-BR"`, `"sr-Latn"`, `"zh-Hant-TW"`).
+ * The script is taken into account when there is a specific language for it (eg. `"ko-Latn"`),
+ * while the region is not, as the languages are not regional.
+ * A tag with a latin script and no matching language resolves to `Language.LATIN`.
+ * Returns `null` if no language matches.
+ * @param tag
+ * @returns
+ */
+function resolveLanguage(tag: string): LanguageString | null {
+  // The codes of the Language object that are not valid tags (eg. "ja_kana")
+  if (
+    tag !== Language.AUTO &&
+    tag !== Language.STYLE_LOCK &&
+    languageCodeSet.has(tag as LanguageString)
+  ) {
+    return tag as LanguageString;
+  }
+
+  const match = languageTagRegex.exec(tag.trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const lang =
+    languageAliases[match[1].toLowerCase()] ?? match[1].toLowerCase();
+  const script = match[2]
+    ? match[2][0].toUpperCase() + match[2].slice(1).toLowerCase()
+    : null;
+
+  if (script) {
+    const scriptTag = `${lang}-${script}`;
+
+    if (scriptTag in languageScripts) {
+      return languageScripts[scriptTag];
+    }
+
+    if (isLanguageSupported(scriptTag)) {
+      return scriptTag as LanguageString;
+    }
+  }
+
+  if (isLanguageSupported(lang)) {
+    return lang as LanguageString;
+  }
+
+  return script === "Latn" ? Language.LATIN : null;
+}
+
 function getBrowserLanguage(): LanguageString {
   if (typeof navigator === "undefined") {
-    return Intl.DateTimeFormat()
-      .resolvedOptions()
-      .locale.split("-")[0] as LanguageString;
+    return (
+      resolveLanguage(Intl.DateTimeFormat().resolvedOptions().locale) ??
+      Language.LATIN
+    );
   }
 
-  const canditatelangs = Array.from(
-    new Set(navigator.languages.map((l) => l.split("-")[0]))
-  ).filter((l) => languageCodeSet.has(l as LanguageString));
+  for (const tag of navigator.languages) {
+    const lang = resolveLanguage(tag);
 
-  return canditatelangs.length
-    ? (canditatelangs[0] as LanguageString)
-    : Language.LATIN;
+    if (lang !== null) {
+      return lang;
+    }
+  }
+
+  return Language.LATIN;
 }
 
-function setPrimaryLanguage(map: Map, lang: string) {
+// detects a name property such as "name", "name:en" or "name_en", with loose spacing
+const nameKeyRegex = /^\s*name\s*([:_]\s*\S*)?\s*$/;
 
-  const layers = map.getStyle().layers;
+// detects the tokens such as "{name:en}" in a string, with loose spacing
+const nameTokenRegex = /{\s*name\s*([:_]\s*[^}\s]*)?\s*}/g;
 
-  // detects pattern like "{name:somelanguage}" with loose spacing
-  const strLanguageRegex = /^\s*{\s*name\s*(:\s*(\S*))?\s*}$/;
+// detects any token such as "{name:en}" or "{ele}" in a string
+const tokenRegex = /{([^{}]+)}/;
 
-  // detects pattern like "name:somelanguage" with loose spacing
-  const strLanguageInArrayRegex = /^\s*name\s*(:\s*(\S*))?\s*$/;
+// how a secondary name is added to the labels that only display one name
+const defaultSecondarySeparator = "\n";
+const defaultSecondaryFontScale = 0.8;
 
-  // for string based bilingual lang such as "{name:latin}  {name:nonlatin}" or "{name:latin}  {name}"
-  const strBilingualRegex =
-        /^\s*{\s*name\s*(:\s*(\S*))?\s*}(\s*){\s*name\s*(:\s*(\S*))?\s*}$/;
+/**
+ * Replacement of a name lookup, as an expression and as a token (for strings that cannot contain expressions)
+ */
+type NameLookupReplacement = {
+  expression: ExpressionSpecification;
+  token: string;
+};
 
-  // Regex to capture when there are more info, such as mountains elevation with unit m/ft
-  const strMoreInfoRegex = /^(.*)({\s*name\s*(:\s*(\S*))?\s*})(.*)$/;
+/**
+ * Gives the replacement of a name lookup, depending on its rank: 0 for the first name displayed
+ * (primary language), 1 for the second (secondary language), etc.
+ * Returns `null` to keep the lookup as it is.
+ */
+type NameLookupRewriter = (
+  rank: number,
+  lookup: unknown
+) => NameLookupReplacement | null;
+
+type RewriteResult = {
+  value: unknown;
+  // Number of names displayed one after the other
+  count: number;
+};
 
-  const langStr = lang ? `name:${lang}` : "name"; // to handle local lang
-  const replacer = [
-    "case",
-    ["has", langStr],
-    ["get", langStr],
-    ["get", "name"],
-  ];
+/**
+ * For the expressions that choose among several outputs, the indices of the outputs
+ * (the conditions and the inputs cannot display a name)
+ */
+const branchingOperators: {
+  [operator: string]: (length: number) => Array<number>;
+} = {
+  // ["case", condition1, output1, ..., fallback]
+  case: (length) =>
+    Array.from({ length }, (_, i) => i).filter(
+      (i) => (i >= 2 && i % 2 === 0) || i === length - 1
+    ),
+
+  // ["match", input, label1, output1, ..., fallback]
+  match: (length) =>
+    Array.from({ length }, (_, i) => i).filter(
+      (i) => (i >= 3 && i % 2 === 1) || i === length - 1
+    ),
+
+  // ["step", input, output0, stop1, output1, ...]
+  step: (length) =>
+    Array.from({ length }, (_, i) => i).filter((i) => i >= 2 && i % 2 === 0),
+
+  // ["coalesce", output1, output2, ...]
+  coalesce: (length) => Array.from({ length }, (_, i) => i).slice(1),
+};
 
-  for (let i = 0; i < layers.length; i += 1) {
-    const layer = layers[i] as SymbolLayerSpecification;
-    const layout = layer.layout;
+/**
+ * The expressions that display all their arguments, one after the other
+ */
+const sequentialOperators = new Set([
+  "concat",
+  "format",
+  "to-string",
+  "upcase",
+  "downcase",
+]);
+
+function isNameGetter(expr: unknown): boolean {
+  return (
+    Array.isArray(expr) &&
+    expr.length === 2 &&
+    expr[0] === "get" &&
+    typeof expr[1] === "string" &&
+    nameKeyRegex.test(expr[1])
+  );
+}
 
-    if (!layout) {
-      continue;
-    }
+/**
+ * A name lookup is an expression that only displays a name, such as `["get", "name:en"]`
+ * or a fallback chain of those (`["coalesce", ["get", "name:en"], ["get", "name"]]`)
+ */
+function isNameLookup(expr: unknown): boolean {
+  if (isNameGetter(expr)) {
+    return true;
+  }
 
-    if (!layout["text-field"]) {
-      continue;
-    }
+  if (!Array.isArray(expr)) {
+    return false;
+  }
+
+  if (expr[0] === "coalesce" && expr.length > 1) {
+    return expr.slice(1).every(isNameLookup);
+  }
+
+  // Shape of the lookups made by former versions of the SDK:
+  // ["case", ["has", "name:en"], ["get", "name:en"], ["get", "name"]]
+  return (
+    expr[0] === "case" &&
+    expr.length === 4 &&
+    Array.isArray(expr[1]) &&
+    expr[1][0] === "has" &&
+    typeof expr[1][1] === "string" &&
+    nameKeyRegex.test(expr[1][1]) &&
+    isNameLookup(expr[2]) &&
+    isNameLookup(expr[3])
+  );
+}
 
-    const textFieldLayoutProp = map.getLayoutProperty(
-      layer.id,
-      "text-field"
+/**
+ * Rewrites the name lookups found in an expression, at any depth
+ * @param expr the expression
+ * @param rank number of names displayed before this expression
+ * @param rewrite
+ * @returns
+ */
+function rewriteExpression(
+  expr: unknown,
+  rank: number,
+  rewrite: NameLookupRewriter
+): RewriteResult {
+  if (isNameLookup(expr)) {
+    return { value: rewrite(rank, expr)?.expression ?? expr, count: 1 };
+  }
+
+  // A label made bilingual by the SDK is rebuilt, so that its condition follows the names
+  const bilingual = parseBilingualLabel(expr);
+
+  if (bilingual) {
+    const primary = rewriteExpression(bilingual.primary, rank, rewrite);
+    const secondary = rewriteExpression(
+      bilingual.secondary,
+      rank + primary.count,
+      rewrite
     );
 
-    // Note:
-    // The value of the 'text-field' property can take multiple shape;
-    // 1. can be an array with 'concat' on its first element (most likely means bilingual)
-    // 2. can be an array with 'get' on its first element (monolingual)
-    // 3. can be a string of shape '{name:latin}'
-    // 4. can be a string referencing another prop such as '{housenumber}' or '{ref}'
-    //
-    // The case 1, 2 and 3 will be updated while maintaining their original type and shape.
-    // The case 3 will not be updated
+    return {
+      value: makeBilingualLabel(
+        primary.value,
+        secondary.value as ExpressionSpecification,
+        bilingual.options
+      ),
+      count: primary.count + secondary.count,
+    };
+  }
+
+  if (!Array.isArray(expr) || typeof expr[0] !== "string") {
+    return { value: expr, count: 0 };
+  }
 
-    let regexMatch;
+  const operator = expr[0];
 
-    // This is case 1
-    if (
-      Array.isArray(textFieldLayoutProp) &&
-      textFieldLayoutProp.length >= 2 &&
-      textFieldLayoutProp[0].trim().toLowerCase() === "concat"
-    ) {
-      const newProp = textFieldLayoutProp.slice(); // newProp is Array
-      // The style could possibly have defined more than 2 concatenated language strings but we only want to edit the first
-      // The style could also define that there are more things being concatenated and not only languages
-
-      for (let j = 0; j < textFieldLayoutProp.length; j += 1) {
-        const elem = textFieldLayoutProp[j];
-
-        // we are looking for an elem of shape '{name:somelangage}' (string) of `["get", "name:somelanguage"]` (array)
-
-        // the entry of of shape '{name:somelangage}', possibly with loose spacing
-        if (
-          (typeof elem === "string" || elem instanceof String) &&
-          strLanguageRegex.exec(elem.toString())
-        ) {
-          newProp[j] = replacer;
-          break; // we just want to update the primary language
-        }
-        // the entry is of an array of shape `["get", "name:somelanguage"]`
-        else if (
-          Array.isArray(elem) &&
-          elem.length >= 2 &&
-          elem[0].trim().toLowerCase() === "get" &&
-          strLanguageInArrayRegex.exec(elem[1].toString())
-        ) {
-          newProp[j] = replacer;
-          break; // we just want to update the primary language
-        } else if (
-          Array.isArray(elem) &&
-          elem.length === 4 &&
-          elem[0].trim().toLowerCase() === "case"
-        ) {
-          newProp[j] = replacer;
-          break; // we just want to update the primary language
-        }
+  // Each output is independent, so they all start at the same rank
+  if (operator in branchingOperators) {
+    const outputs = branchingOperators[operator](expr.length);
+    let count = 0;
+
+    const value = expr.map((arg, i) => {
+      if (outputs.indexOf(i) === -1) {
+        return arg;
       }
 
-      map.setLayoutProperty(layer.id, "text-field", newProp);
+      const result = rewriteExpression(arg, rank, rewrite);
+      count = Math.max(count, result.count);
+      return result.value;
+    });
+
+    return { value, count };
+  }
+
+  if (sequentialOperators.has(operator)) {
+    let count = 0;
+
+    const value = expr.map((arg, i) => {
+      if (i === 0) {
+        return arg;
+      }
+
+      const result = rewriteExpression(arg, rank + count, rewrite);
+      count += result.count;
+      return result.value;
+    });
+
+    return { value, count };
+  }
+
+  // Other expressions (eg. "get" of another property, "literal") do not display names
+  return { value: expr, count: 0 };
+}
+
+/**
+ * Rewrites the name tokens found in a string, such as `"{name:latin}\n{name:nonlatin}"`
+ */
+function rewriteTokenString(
+  str: string,
+  rank: number,
+  rewrite: NameLookupRewriter
+): RewriteResult {
+  let count = 0;
+
+  const value = str.replace(nameTokenRegex, (token) => {
+    const replacement = rewrite(rank + count, token);
+    count += 1;
+    return replacement ? replacement.token : token;
+  });
+
+  return { value, count };
+}
+
+/**
+ * Converts a string with tokens (eg. `"{name:latin} ({ele} m)"`) into the equivalent expression
+ */
+function tokenStringToExpression(str: string): ExpressionSpecification {
+  const parts: Array<string | ExpressionSpecification> = [];
+  const regex = new RegExp(tokenRegex.source, "g");
+  let lastIndex = 0;
+  let match: RegExpExecArray | null;
+
+  while ((match = regex.exec(str)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push(str.slice(lastIndex, match.index));
     }
 
-    // This is case 2
-    else if (
-      Array.isArray(textFieldLayoutProp) &&
-      textFieldLayoutProp.length >= 2 &&
-      textFieldLayoutProp[0].trim().toLowerCase() === "get" &&
-      strLanguageInArrayRegex.exec(textFieldLayoutProp[1].toString())
-    ) {
-      const newProp = replacer;
-      map.setLayoutProperty(layer.id, "text-field", newProp);
+    parts.push(["get", match[1].trim()]);
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < str.length) {
+    parts.push(str.slice(lastIndex));
+  }
+
+  return parts.length === 1 && typeof parts[0] !== "string"
+    ? parts[0]
+    : ["concat", ...parts];
+}
+
+/**
+ * Options of a label made bilingual by the SDK
+ */
+type BilingualLabelOptions = {
+  separator: string;
+  fontScale: number;
+  deduplicate: boolean;
+};
+
+/**
+ * Get the first name displayed by an expression
+ */
+function findFirstNameLookup(expr: unknown): unknown {
+  let firstLookup: unknown = null;
+
+  rewriteExpression(expr, 0, (rank, lookup) => {
+    if (rank === 0 && firstLookup === null) {
+      firstLookup = lookup;
     }
 
-    // This is case 3
-    else if (
-      (typeof textFieldLayoutProp === "string" ||
-        textFieldLayoutProp instanceof String) &&
-      strLanguageRegex.exec(textFieldLayoutProp.toString())
-    ) {
-      const newProp = replacer;
-      map.setLayoutProperty(layer.id, "text-field", newProp);
-    } else if (
-      Array.isArray(textFieldLayoutProp) &&
-      textFieldLayoutProp.length === 4 &&
-      textFieldLayoutProp[0].trim().toLowerCase() === "case"
-    ) {
-      const newProp = replacer;
-      map.setLayoutProperty(layer.id, "text-field", newProp);
-    } else if (
-      (typeof textFieldLayoutProp === "string" ||
-        textFieldLayoutProp instanceof String) &&
-      (regexMatch = strBilingualRegex.exec(
-        textFieldLayoutProp.toString()
-      )) !== null
-    ) {
-      const newProp = `{${langStr}}${regexMatch[3]}{name${
-        regexMatch[4] || ""
-      }}`;
-      map.setLayoutProperty(layer.id, "text-field", newProp);
-    } else if (
-      (typeof textFieldLayoutProp === "string" ||
-        textFieldLayoutProp instanceof String) &&
-      (regexMatch = strMoreInfoRegex.exec(
-        textFieldLayoutProp.toString()
-      )) !== null
-    ) {
-      const newProp = `${regexMatch[1]}{${langStr}}${regexMatch[5]}`;
-      map.setLayoutProperty(layer.id, "text-field", newProp);
+    return null;
+  });
+
+  return firstLookup;
+}
+
+/**
+ * Adds a second name to a label that only displays one, on a smaller line.
+ * The label stays as it is when the second name is missing (or identical to the first one, with `deduplicate`).
+ * The result has the shape: `["case", condition, ["format", label, {}, separator, {}, secondary, { "font-scale": fontScale }], label]`
+ * @param label
+ * @param secondary a lookup of shape `["get", "name:xx"]`
+ * @param options
+ * @returns
+ */
+function makeBilingualLabel(
+  label: unknown,
+  secondary: ExpressionSpecification,
+  options: BilingualLabelOptions
+): unknown {
+  // A formatted label gets one more section
+  const sections =
+    Array.isArray(label) && label[0] === "format"
+      ? label.slice(1)
+      : [label, {}];
+
+  const formatted = [
+    "format",
+    ...sections,
+    options.separator,
+    {},
+    secondary,
+    { "font-scale": options.fontScale },
+  ];
+
+  const hasSecondary = ["has", secondary[1]];
+  const condition = options.deduplicate
+    ? ["all", hasSecondary, ["!=", secondary, findFirstNameLookup(label)]]
+    : hasSecondary;
+
+  return ["case", condition, formatted, label];
+}
+
+/**
+ * Reads a label made by `makeBilingualLabel()`. Returns `null` if the expression has another shape.
+ */
+function parseBilingualLabel(expr: unknown): {
+  primary: unknown;
+  secondary: unknown;
+  options: BilingualLabelOptions;
+} | null {
+  if (!Array.isArray(expr) || expr[0] !== "case" || expr.length !== 4) {
+    return null;
+  }
+
+  const [, condition, formatted, label] = expr;
+
+  if (
+    !Array.isArray(condition) ||
+    !Array.isArray(formatted) ||
+    formatted[0] !== "format"
+  ) {
+    return null;
+  }
+
+  const head = [
+    "format",
+    ...(Array.isArray(label) && label[0] === "format"
+      ? label.slice(1)
+      : [label, {}]),
+  ];
+
+  if (
+    formatted.length !== head.length + 4 ||
+    JSON.stringify(formatted.slice(0, head.length)) !== JSON.stringify(head)
+  ) {
+    return null;
+  }
+
+  const [separator, , secondary, sectionOptions] = formatted.slice(head.length);
+
+  if (typeof separator !== "string" || !isNameGetter(secondary)) {
+    return null;
+  }
+
+  return {
+    primary: label,
+    secondary,
+    options: {
+      separator,
+      fontScale: sectionOptions?.["font-scale"] ?? defaultSecondaryFontScale,
+      deduplicate: condition[0] === "all",
+    },
+  };
+}
+
+/**
+ * Rewrites all the name lookups of a text-field layout property, whatever its shape:
+ * a string with tokens, an expression (with `concat`, `coalesce`, `format`, `case`, `match`, `step`, etc.)
+ * or a legacy zoom function (`{ stops: [...] }`)
+ * @param textField
+ * @param rewrite
+ * @returns
+ */
+function rewriteTextField(
+  textField: unknown,
+  rewrite: NameLookupRewriter
+): RewriteResult {
+  if (typeof textField === "string") {
+    if (!textField.match(nameTokenRegex)) {
+      return { value: textField, count: 0 };
     }
+
+    // Converted into an expression so that the names can have a fallback
+    return rewriteExpression(tokenStringToExpression(textField), 0, rewrite);
+  }
+
+  // The stops of a legacy function can only contain strings with tokens
+  if (
+    textField &&
+    typeof textField === "object" &&
+    !Array.isArray(textField) &&
+    Array.isArray((textField as { stops?: unknown }).stops)
+  ) {
+    const legacyFunction = textField as { stops: Array<[unknown, unknown]> };
+    let count = 0;
+
+    const stops = legacyFunction.stops.map(([input, output]) => {
+      if (typeof output !== "string") {
+        return [input, output];
+      }
+
+      const result = rewriteTokenString(output, 0, rewrite);
+      count = Math.max(count, result.count);
+      return [input, result.value];
+    });
+
+    return { value: { ...legacyFunction, stops }, count };
   }
 
+  return rewriteExpression(textField, 0, rewrite);
 }
 
-function setSecondaryLanguage(map: Map, lang: string) {
+/**
+ * Layers to which a language change applies. By default, it applies to all the layers.
+ */
+type LanguageScopeOptions = {
+  /**
+   * IDs of the layers to update, the other layers are left untouched
+   */
+  layers?: Array<string>;
 
-  const layers = map.getStyle().layers;
+  /**
+   * IDs of the layers not to update (eg. custom layers with their own labels)
+   */
+  excludeLayers?: Array<string>;
+
+  /**
+   * Names of the source layers (eg. `"place"`, `"transportation_name"`) whose layers are updated,
+   * the other layers are left untouched
+   */
+  sourceLayers?: Array<string>;
+};
+
+function isLayerInScope(
+  layer: SymbolLayerSpecification,
+  scope: LanguageScopeOptions
+): boolean {
+  if (scope.layers && scope.layers.indexOf(layer.id) === -1) {
+    return false;
+  }
+
+  if (scope.excludeLayers && scope.excludeLayers.indexOf(layer.id) !== -1) {
+    return false;
+  }
+
+  return (
+    !scope.sourceLayers ||
+    scope.sourceLayers.indexOf(layer["source-layer"]) !== -1
+  );
+}
+
+/**
+ * Options of the secondary language
+ */
+type SecondaryLanguageOptions = LanguageScopeOptions & {
+  /**
+   * Adds the secondary language to the labels that only display one name, on a second line
+   * with a smaller font. By default, only the labels that already display two names are updated. (default: `false`)
+   */
+  force?: boolean;
 
-  // detects pattern like "{name:somelanguage}" with loose spacing
-  const strLanguageRegex = /^\s*{\s*name\s*(:\s*(\S*))?\s*}$/;
+  /**
+   * Separator between the two names of a label made bilingual with `force`. (default: `"\n"`)
+   */
+  separator?: string;
 
-  // detects pattern like "name:somelanguage" with loose spacing
-  const strLanguageInArrayRegex = /^\s*name\s*(:\s*(\S*))?\s*$/;
+  /**
+   * Font scale of the secondary name of a label made bilingual with `force`. (default: `0.8`)
+   */
+  fontScale?: number;
 
-  // for string based bilingual lang such as "{name:latin}  {name:nonlatin}" or "{name:latin}  {name}"
-  const strBilingualRegex =
-            /^\s*{\s*name\s*(:\s*(\S*))?\s*}(\s*){\s*name\s*(:\s*(\S*))?\s*}$/;
+  /**
+   * Hides the secondary name of a label made bilingual with `force` when it is identical to the first name. (default: `true`)
+   */
+  deduplicate?: boolean;
+};
 
-  let regexMatch;
+/**
+ * Rewrites the text-field of the symbol layers within the scope
+ */
+function rewriteMapTextFields(
+  map: Map,
+  transform: (textField: unknown) => unknown,
+  scope: LanguageScopeOptions = {}
+) {
+  const layers = map.getStyle().layers;
 
   for (let i = 0; i < layers.length; i += 1) {
     const layer = layers[i] as SymbolLayerSpecification;
     const layout = layer.layout;
 
-    if (!layout) {
+    if (!layout || !layout["text-field"] || !isLayerInScope(layer, scope)) {
       continue;
     }
 
-    if (!layout["text-field"]) {
-      continue;
+    const textField = map.getLayoutProperty(layer.id, "text-field");
+    const newTextField = transform(textField);
+
+    if (JSON.stringify(newTextField) !== JSON.stringify(textField)) {
+      map.setLayoutProperty(layer.id, "text-field", newTextField);
     }
+  }
+}
 
-    const textFieldLayoutProp = map.getLayoutProperty(
-        layer.id,
-        "text-field"
-    );
+/**
+ * Displays the given language in place of the first name of each label.
+ * With a fallback chain, each label displays the first language available.
+ * When a label has none of these languages, the local name is displayed instead.
+ */
+function setPrimaryLanguage(
+  map: Map,
+  lang: string | Array<string>,
+  scope: LanguageScopeOptions = {}
+) {
+  const languages = (Array.isArray(lang) ? lang : [lang]).map((l) =>
+    l === Language.AUTO ? getBrowserLanguage() : l
+  );
+
+  // the local name always comes last
+  const nameKeys = Array.from(
+    new Set([...languages.map((l) => (l ? `name:${l}` : "name")), "name"])
+  );
+
+  const rewrite: NameLookupRewriter = (rank) =>
+    rank === 0
+      ? {
+          expression:
+            nameKeys.length === 1
+              ? ["get", nameKeys[0]]
+              : [
+                  "coalesce",
+                  ...nameKeys.map((k): ExpressionSpecification => ["get", k]),
+                ],
+          // a token cannot have a fallback
+          token: `{${nameKeys[0]}}`,
+        }
+      : null;
+
+  rewriteMapTextFields(
+    map,
+    (textField) => rewriteTextField(textField, rewrite).value,
+    scope
+  );
+}
 
-    let newProp;
+/**
+ * Displays the given language in place of the second name of each label.
+ * By default, only the labels that already display two names are updated, because we don't want to change the styling
+ * (read: add a secondary language where the original styling is only displaying 1), unless `force` is used.
+ */
+function setSecondaryLanguage(
+  map: Map,
+  lang: string,
+  options: SecondaryLanguageOptions = {}
+) {
+  const langStr = lang ? `name:${lang}` : "name"; // to handle local lang
+  const secondary: ExpressionSpecification = ["get", langStr];
+
+  const rewrite: NameLookupRewriter = (rank) =>
+    rank === 1 ? { expression: secondary, token: `{${langStr}}` } : null;
+
+  rewriteMapTextFields(
+    map,
+    (textField) => {
+      const result = rewriteTextField(textField, rewrite);
+
+      // Only the labels displaying a single name, as an expression, can be made bilingual
+      if (
+        !options.force ||
+        result.count !== 1 ||
+        !Array.isArray(result.value)
+      ) {
+        return result.value;
+      }
 
-    // Note:
-    // The value of the 'text-field' property can take multiple shape;
-    // 1. can be an array with 'concat' on its first element (most likely means bilingual)
-    // 2. can be an array with 'get' on its first element (monolingual)
-    // 3. can be a string of shape '{name:latin}'
-    // 4. can be a string referencing another prop such as '{housenumber}' or '{ref}'
-    //
-    // Only the case 1 will be updated because we don't want to change the styling (read: add a secondary language where the original styling is only displaying 1)
+      return makeBilingualLabel(result.value, secondary, {
+        separator: options.separator ?? defaultSecondarySeparator,
+        fontScale: options.fontScale ?? defaultSecondaryFontScale,
+        deduplicate: options.deduplicate ?? true,
+      });
+    },
+    options
+  );
+}
+
+/**
+ * Source layers of each source displayed by the symbol layers with labels
+ */
+function getLabelSourceLayers(map: Map): { [sourceId: string]: Array<string> } {
+  const sourceLayers: { [sourceId: string]: Array<string> } = {};
+  const layers = map.getStyle()?.layers ?? [];
+
+  for (let i = 0; i < layers.length; i += 1) {
+    const layer = layers[i] as SymbolLayerSpecification;
 
-    // This is case 1
     if (
-        Array.isArray(textFieldLayoutProp) &&
-        textFieldLayoutProp.length >= 2 &&
-        textFieldLayoutProp[0].trim().toLowerCase() === "concat"
+      !layer.layout ||
+      !layer.layout["text-field"] ||
+      !layer["source-layer"]
     ) {
-      newProp = textFieldLayoutProp.slice(); // newProp is Array
-      // The style could possibly have defined more than 2 concatenated language strings but we only want to edit the first
-      // The style could also define that there are more things being concatenated and not only languages
+      continue;
+    }
 
-      let languagesAlreadyFound = 0;
+    const list =
+      sourceLayers[layer.source] ?? (sourceLayers[layer.source] = []);
 
-      for (let j = 0; j < textFieldLayoutProp.length; j += 1) {
-        const elem = textFieldLayoutProp[j];
+    if (list.indexOf(layer["source-layer"]) === -1) {
+      list.push(layer["source-layer"]);
+    }
+  }
 
-        // we are looking for an elem of shape '{name:somelangage}' (string) of `["get", "name:somelanguage"]` (array)
+  return sourceLayers;
+}
 
-        // the entry of of shape '{name:somelangage}', possibly with loose spacing
-        if (
-            (typeof elem === "string" || elem instanceof String) &&
-            strLanguageRegex.exec(elem.toString())
-        ) {
-          if (languagesAlreadyFound === 1) {
-            newProp[j] = `{name:${lang}}`;
-            break; // we just want to update the secondary language
-          }
+/**
+ * Lists the languages that have names in the data of the map, among the supported ones.
+ * The `name:*` fields are read from the TileJSON metadata of the sources displaying labels
+ * (`vector_layers`) and from the features of the tiles loaded so far.
+ * `Language.LOCAL` is part of the list when the local names are available.
+ */
+function getAvailableLanguages(map: Map): Array<LanguageString> {
+  const nameKeys = new Set<string>();
+  const sourceLayers = getLabelSourceLayers(map);
+
+  Object.keys(sourceLayers).forEach((sourceId) => {
+    const source = map.getSource(sourceId) as {
+      vectorLayers?: Array<{
+        id: string;
+        fields?: { [field: string]: string };
+      }>;
+    };
+
+    if (!source) {
+      return;
+    }
 
-          languagesAlreadyFound += 1;
-        }
-        // the entry is of an array of shape `["get", "name:somelanguage"]`
-        else if (
-            Array.isArray(elem) &&
-            elem.length >= 2 &&
-            elem[0].trim().toLowerCase() === "get" &&
-            strLanguageInArrayRegex.exec(elem[1].toString())
-        ) {
-          if (languagesAlreadyFound === 1) {
-            newProp[j][1] = `name:${lang}`;
-            break; // we just want to update the secondary language
-          }
-
-          languagesAlreadyFound += 1;
-        } else if (
-            Array.isArray(elem) &&
-            elem.length === 4 &&
-            elem[0].trim().toLowerCase() === "case"
-        ) {
-          if (languagesAlreadyFound === 1) {
-            newProp[j] = ["get", `name:${lang}`]; // the situation with 'case' is supposed to only happen with the primary lang
-            break; // but in case a styling also does that for secondary...
-          }
-
-          languagesAlreadyFound += 1;
-        }
+    (source.vectorLayers ?? []).forEach((vectorLayer) => {
+      if (sourceLayers[sourceId].indexOf(vectorLayer.id) !== -1) {
+        Object.keys(vectorLayer.fields ?? {}).forEach((key) =>
+          nameKeys.add(key)
+        );
       }
+    });
 
-      map.setLayoutProperty(layer.id, "text-field", newProp);
-    }
+    sourceLayers[sourceId].forEach((sourceLayer) => {
+      map.querySourceFeatures(sourceId, { sourceLayer }).forEach((feature) => {
+        Object.keys(feature.properties ?? {}).forEach((key) =>
+          nameKeys.add(key)
+        );
+      });
+    });
+  });
+
+  const languages: Array<LanguageString> = [];
+
+  nameKeys.forEach((key) => {
+    const lang = key === "name" ? Language.LOCAL : key.replace(/^name:/, "");
 
-    // the language (both first and second) are defined into a single string model
-    else if (
-        (typeof textFieldLayoutProp === "string" ||
-            textFieldLayoutProp instanceof String) &&
-        (regexMatch = strBilingualRegex.exec(
-            textFieldLayoutProp.toString()
-        )) !== null
+    if (
+      lang !== key &&
+      isLanguageSupported(lang) &&
+      languages.indexOf(lang as LanguageString) === -1
     ) {
-      const langStr = lang ? `name:${lang}` : "name"; // to handle local lang
-      newProp = `{name${regexMatch[1] || ""}}${regexMatch[3]}{${langStr}}`;
-      map.setLayoutProperty(layer.id, "text-field", newProp);
+      languages.push(lang as LanguageString);
     }
+  });
+
+  return languages;
+}
+
+/**
+ * Tells if at least one of the labels rendered in the current view has a name in one of the given languages.
+ * Also `true` when no label is rendered, as there is nothing to tell.
+ */
+function hasLanguageCoverage(map: Map, lang: string | Array<string>): boolean {
+  const nameKeys = (Array.isArray(lang) ? lang : [lang])
+    .map((l) => (l === Language.AUTO ? getBrowserLanguage() : l))
+    .map((l) => (l ? `name:${l}` : "name"));
+
+  const layerIds = (map.getStyle()?.layers ?? [])
+    .filter((layer) => {
+      const layout = (layer as SymbolLayerSpecification).layout;
+      return layout && layout["text-field"];
+    })
+    .map((layer) => layer.id);
+
+  if (!layerIds.length) {
+    return true;
   }
 
+  const features = map.queryRenderedFeatures({ layers: layerIds });
+
+  return (
+    !features.length ||
+    features.some((feature) =>
+      nameKeys.some((key) => feature.properties && key in feature.properties)
+    )
+  );
 }
 
 export {
   Language,
   getBrowserLanguage,
+  resolveLanguage,
   isLanguageSupported,
+  languageNativeNames,
+  getAvailableLanguages,
+  hasLanguageCoverage,
   setPrimaryLanguage,
-  setSecondaryLanguage
+  setSecondaryLanguage,
 };
 
 export type {
   LanguageString,
   LanguageKey,
-}
+  LanguageFallbackChain,
+  LanguageScopeOptions,
+  SecondaryLanguageOptions,
+};
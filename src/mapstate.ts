@@ -0,0 +1,144 @@
+import { Base64 } from "js-base64";
+import type { LanguageString, LanguageFallbackChain } from "./language";
+import { withoutCredentials } from "./requests";
+
+/**
+ * Names of the controls that can be shown by the `Map` constructor options
+ * and whose visibility is part of the map state
+ */
+export const MapControlNames = [
+  "scaleControl",
+  "navigationControl",
+  "geolocateControl",
+  "terrainControl",
+  "fullscreenControl",
+  "languageControl",
+] as const;
+
+/**
+ * Name of a control whose visibility is managed by the SDK
+ */
+export type MapControlName = (typeof MapControlNames)[number];
+
+/**
+ * Full state of a map: camera, style, languages, terrain and controls
+ */
+export type MapState = {
+  /**
+   * Center of the map as [longitude, latitude]
+   */
+  center: [number, number];
+  zoom: number;
+  pitch: number;
+  bearing: number;
+
+  /**
+   * MapTiler style ID (eg. `"streets-v2-dark"`) or style URL.
+   * `null` when the style was provided as a style object, which is not part of the state.
+   */
+  style: string | null;
+  primaryLanguage: LanguageString | LanguageFallbackChain | null;
+  secondaryLanguage: LanguageString | null;
+  terrain: boolean;
+  terrainExaggeration: number;
+
+  /**
+   * Visibility of the controls
+   */
+  controls: { [name in MapControlName]?: boolean };
+};
+
+/**
+ * Compact representation of the map state, with short keys and rounded numbers
+ */
+type CompactMapState = {
+  c: [number, number, number, number, number];
+  s?: string;
+  l?: LanguageString | LanguageFallbackChain | null;
+  l2?: LanguageString | null;
+  t: [number, number];
+  ct: number;
+};
+
+function round(value: number, decimals: number): number {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Encodes a map state into a compact and URL-safe string
+ * @param state
+ * @returns
+ */
+export function encodeMapState(state: MapState): string {
+  // the visibility of each control is a bit of this integer
+  const controlsMask = MapControlNames.reduce(
+    (mask, name, i) => (state.controls[name] ? mask | (1 << i) : mask),
+    0
+  );
+
+  const compact: CompactMapState = {
+    c: [
+      round(state.center[0], 6),
+      round(state.center[1], 6),
+      round(state.zoom, 3),
+      round(state.pitch, 2),
+      round(state.bearing, 2),
+    ],
+    t: [state.terrain ? 1 : 0, round(state.terrainExaggeration, 3)],
+    ct: controlsMask,
+  };
+
+  // (an encoded state is meant to be shared, without the API key of a style URL)
+  if (state.style !== null) {
+    compact.s = withoutCredentials(state.style);
+  }
+
+  if (state.primaryLanguage !== undefined) {
+    compact.l = state.primaryLanguage;
+  }
+
+  if (state.secondaryLanguage !== undefined) {
+    compact.l2 = state.secondaryLanguage;
+  }
+
+  return Base64.encodeURI(JSON.stringify(compact));
+}
+
+/**
+ * Decodes a map state that was encoded with `encodeMapState()`.
+ * Throws an error if the string is not a valid encoded map state.
+ * @param encodedState
+ * @returns
+ */
+export function decodeMapState(encodedState: string): MapState {
+  let compact: CompactMapState;
+
+  try {
+    compact = JSON.parse(Base64.decode(encodedState));
+  } catch (e) {
+    throw new Error("The map state could not be decoded.");
+  }
+
+  if (!compact || !Array.isArray(compact.c) || compact.c.length !== 5) {
+    throw new Error("The map state could not be decoded.");
+  }
+
+  const controls: MapState["controls"] = {};
+  MapControlNames.forEach((name, i) => {
+    controls[name] = ((compact.ct ?? 0) & (1 << i)) !== 0;
+  });
+
+  return {
+    center: [compact.c[0], compact.c[1]],
+    zoom: compact.c[2],
+    pitch: compact.c[3],
+    bearing: compact.c[4],
+    style: compact.s ?? null,
+    primaryLanguage: compact.l ?? null,
+    secondaryLanguage: compact.l2 ?? null,
+    terrain: !!(compact.t && compact.t[0]),
+    terrainExaggeration: compact.t ? compact.t[1] : 1,
+    controls,
+  };
+}
@@ -42,3 +42,367 @@ export function styleToStyle(
 
   return style as maplibregl.StyleSpecification;
 }
+
+/**
+ * Get a string that refers to the given style and that can be provided again to `styleToStyle()`:
+ * the ID of a MapTiler style (eg. `"streets-v2-dark"`) or a style URL.
+ * Returns `null` if the style is a style object.
+ */
+export function styleToStyleReference(
+  style:
+    | string
+    | ReferenceMapStyle
+    | MapStyleVariant
+    | maplibregl.StyleSpecification
+    | null
+    | undefined
+): string | null {
+  if (!style) {
+    return MapStyle[mapStylePresetList[0].referenceStyleID]
+      .getDefaultVariant()
+      .getId();
+  }
+
+  if (typeof style === "string" || style instanceof String) {
+    return style.trim().replace(/^maptiler:\/\//, "");
+  }
+
+  if (style instanceof MapStyleVariant) {
+    return style.getId();
+  }
+
+  if (style instanceof ReferenceMapStyle) {
+    return style.getDefaultVariant().getId();
+  }
+
+  return null;
+}
+
+// IDs of MapTiler styles: the ones of the built-in styles (eg. "streets-v2-dark") and the UUIDs of custom styles
+const styleIdRegex = /^[\w-]+$/;
+
+const layerTypes = [
+  "background",
+  "fill",
+  "line",
+  "symbol",
+  "raster",
+  "circle",
+  "fill-extrusion",
+  "heatmap",
+  "hillshade",
+];
+
+/**
+ * Checks the layers and sources of a style object. The details of their properties are checked by Maplibre,
+ * when the style is loaded.
+ */
+function getStyleObjectError(style: unknown): string | null {
+  if (typeof style !== "object" || Array.isArray(style)) {
+    return "The style must be a MapTiler style, a style URL or a style object";
+  }
+
+  const { version, sources, layers } = style as {
+    version?: unknown;
+    sources?: unknown;
+    layers?: unknown;
+  };
+
+  if (version !== 8) {
+    return "The style object must have the property `version` set to `8`";
+  }
+
+  if (!sources || typeof sources !== "object" || Array.isArray(sources)) {
+    return "The style object must have the property `sources`, with the sources by id";
+  }
+
+  if (!Array.isArray(layers)) {
+    return "The style object must have the property `layers`, with the list of layers";
+  }
+
+  const layerIds: Array<string> = [];
+
+  for (const layer of layers) {
+    if (!layer || typeof layer.id !== "string") {
+      return "Each layer of the style object must have an `id`";
+    }
+
+    if (layerIds.indexOf(layer.id) !== -1) {
+      return `The layer id "${layer.id}" is used by more than one layer of the style object`;
+    }
+
+    layerIds.push(layer.id);
+
+    if (layerTypes.indexOf(layer.type) === -1) {
+      return `The layer "${layer.id}" has an unknown type "${layer.type}"`;
+    }
+
+    if (layer.type !== "background" && !(layer.source in sources)) {
+      return `The layer "${layer.id}" uses the source "${layer.source}", which is not part of the style object`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks a style before giving it to `styleToStyle()`: the ID of a MapTiler style (eg. `"streets-v2"`),
+ * with or without the prefix `"maptiler://"`, a style URL, a relative path to a style JSON file or a style object.
+ * An unknown style ID is not an error here, since it can be the one of a custom style: such a style fails to load.
+ * @returns the reason why the style is not valid, or `null` if it is valid
+ */
+export function getStyleError(
+  style:
+    | string
+    | ReferenceMapStyle
+    | MapStyleVariant
+    | maplibregl.StyleSpecification
+    | null
+    | undefined
+): string | null {
+  if (
+    !style ||
+    style instanceof ReferenceMapStyle ||
+    style instanceof MapStyleVariant
+  ) {
+    return null;
+  }
+
+  if (!(typeof style === "string" || style instanceof String)) {
+    return getStyleObjectError(style);
+  }
+
+  const trimmed = style.trim();
+
+  if (!trimmed) {
+    return "The style is an empty string";
+  }
+
+  // The same cases as in styleToStyle()
+  if (trimmed.startsWith("http")) {
+    try {
+      new URL(trimmed);
+      return null;
+    } catch (e) {
+      return `"${trimmed}" is not a valid URL`;
+    }
+  }
+
+  if (trimmed.toLowerCase().includes(".json")) {
+    return null;
+  }
+
+  if (!styleIdRegex.test(trimmed.replace(/^maptiler:\/\//, ""))) {
+    return `"${trimmed}" is neither a MapTiler style ID (eg. "streets-v2"), a style URL nor a path to a style JSON file`;
+  }
+
+  return null;
+}
+
+function editDistance(a: string, b: string): number {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previousRow[j] + 1,
+        row[j - 1] + 1,
+        previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+
+    previousRow = row;
+  }
+
+  return previousRow[b.length];
+}
+
+/**
+ * Finds the ID of a built-in MapTiler style that is close to the given style ID, most likely misspelled
+ * (eg. `"streets-v2-darck"`). Returns `null` if the style is not a style ID or is the ID of a built-in style.
+ */
+export function findClosestStyleId(
+  style:
+    | string
+    | ReferenceMapStyle
+    | MapStyleVariant
+    | maplibregl.StyleSpecification
+    | null
+    | undefined
+): string | null {
+  const reference = styleToStyleReference(style);
+
+  if (!reference || !styleIdRegex.test(reference)) {
+    return null;
+  }
+
+  const styleIds = mapStylePresetList.reduce(
+    (ids, preset) => [...ids, ...preset.variants.map((variant) => variant.id)],
+    [] as Array<string>
+  );
+  let closest: string | null = null;
+  let closestDistance = 3;
+
+  for (const id of styleIds) {
+    const distance = editDistance(reference.toLowerCase(), id);
+
+    if (distance === 0) {
+      return null;
+    }
+
+    if (distance < closestDistance) {
+      closest = id;
+      closestDistance = distance;
+    }
+  }
+
+  return closest;
+}
+
+/**
+ * Copies into `next` the layers and sources of `previous` that are not part of its style,
+ * as listed by `styleLayerIds` and `styleSourceIds`.
+ * Each copied layer is inserted below the first style layer that was above it, if `next` has it, or on top otherwise.
+ * The layers and sources whose id is already used in `next` are not copied.
+ */
+export function copyUserLayers(
+  previous: maplibregl.StyleSpecification,
+  next: maplibregl.StyleSpecification,
+  styleLayerIds: Array<string>,
+  styleSourceIds: Array<string>
+): maplibregl.StyleSpecification {
+  const sources = { ...next.sources };
+
+  Object.keys(previous.sources).forEach((id) => {
+    if (styleSourceIds.indexOf(id) === -1 && !(id in sources)) {
+      sources[id] = previous.sources[id];
+    }
+  });
+
+  const layers = [...next.layers];
+  const nextLayerIds = next.layers.map((layer) => layer.id);
+
+  previous.layers.forEach((layer, i) => {
+    if (
+      styleLayerIds.indexOf(layer.id) !== -1 ||
+      nextLayerIds.indexOf(layer.id) !== -1 ||
+      ("source" in layer && !(layer.source in sources))
+    ) {
+      return;
+    }
+
+    const anchor = previous.layers
+      .slice(i + 1)
+      .find(
+        (l) =>
+          styleLayerIds.indexOf(l.id) !== -1 &&
+          nextLayerIds.indexOf(l.id) !== -1
+      );
+    const anchorIndex = anchor
+      ? layers.findIndex((l) => l.id === anchor.id)
+      : -1;
+
+    if (anchorIndex === -1) {
+      layers.push(layer);
+    } else {
+      layers.splice(anchorIndex, 0, layer);
+    }
+  });
+
+  return { ...next, sources, layers };
+}
+
+/**
+ * Position of a layer relative to a group of layers of the style, eg. `{ below: "labels" }` or `{ above: "roads" }`.
+ * The group can be:
+ * - one of the groups found in any MapTiler style: `"background"`, `"landcover"`, `"hillshade"`, `"water"`,
+ *   `"boundaries"`, `"roads"`, `"buildings"`, `"raster"` or `"labels"`
+ * - a name given to some layers of a custom style, in their metadata under the key `"maptiler:anchor"`
+ * - a layer id
+ */
+export type LayerAnchor = { below: string } | { above: string };
+
+/**
+ * What is needed from a style layer to know which groups it is part of
+ */
+export type AnchorLayer = {
+  id: string;
+  type: string;
+  sourceLayer?: string;
+  metadata?: unknown;
+};
+
+function isSourceLayerOf(layer: AnchorLayer, sourceLayers: Array<string>) {
+  return (
+    layer.type !== "symbol" && sourceLayers.indexOf(layer.sourceLayer) !== -1
+  );
+}
+
+// The groups are based on the source layers of the OpenMapTiles schema, used by the MapTiler styles
+const layerGroups: { [name: string]: (layer: AnchorLayer) => boolean } = {
+  background: (layer) => layer.type === "background",
+  landcover: (layer) =>
+    isSourceLayerOf(layer, ["landcover", "landuse", "park", "globallandcover"]),
+  hillshade: (layer) =>
+    layer.type === "hillshade" || isSourceLayerOf(layer, ["hillshade"]),
+  water: (layer) => isSourceLayerOf(layer, ["water", "waterway"]),
+  boundaries: (layer) => isSourceLayerOf(layer, ["boundary"]),
+  roads: (layer) => isSourceLayerOf(layer, ["transportation", "aeroway"]),
+  buildings: (layer) => isSourceLayerOf(layer, ["building"]),
+  raster: (layer) => layer.type === "raster",
+  labels: (layer) => layer.type === "symbol",
+};
+
+/**
+ * Tells if a layer is part of a group: one of the built-in groups, a group named in the layer metadata
+ * (see `LayerAnchor`) or the layer itself when the group is a layer id
+ * @param layer
+ * @param group
+ * @returns
+ */
+export function isLayerInGroup(layer: AnchorLayer, group: string): boolean {
+  return (
+    (layer.metadata as { [key: string]: unknown } | undefined)?.[
+      "maptiler:anchor"
+    ] === group ||
+    !!layerGroups[group]?.(layer) ||
+    layer.id === group
+  );
+}
+
+/**
+ * Finds the id of the layer below which a layer must be added to be at the position of the anchor.
+ * Returns `undefined` to add it on top, when the anchor is above the top layer or when no layer of the style matches.
+ * @param layers the layers of the style, from bottom to top
+ * @param anchor
+ * @returns
+ */
+export function resolveLayerAnchor(
+  layers: Array<AnchorLayer>,
+  anchor: LayerAnchor
+): string | undefined {
+  const name = "below" in anchor ? anchor.below : anchor.above;
+
+  const isMatching = (layer: AnchorLayer) => isLayerInGroup(layer, name);
+
+  const first = layers.findIndex(isMatching);
+
+  if (first === -1) {
+    return undefined;
+  }
+
+  if ("below" in anchor) {
+    return layers[first].id;
+  }
+
+  let last = first;
+  layers.forEach((layer, i) => {
+    if (isMatching(layer)) {
+      last = i;
+    }
+  });
+
+  return layers[last + 1]?.id;
+}
@@ -0,0 +1,410 @@
+import {
+  TileArchive,
+  TileArchiveData,
+  TileArchiveMetadata,
+  readArchive,
+  isGzipped,
+  gunzip,
+} from "./tilearchive";
+
+type SQLiteValue = number | string | Uint8Array | null;
+
+type SQLiteRow = { [column: string]: SQLiteValue };
+
+type SQLiteColumn = {
+  name: string;
+
+  /**
+   * Whether the column is an alias of the rowid (`INTEGER PRIMARY KEY`), stored as NULL in the records
+   */
+  isRowid: boolean;
+};
+
+const PageType = {
+  INTERIOR_TABLE: 0x05,
+  LEAF_TABLE: 0x0d,
+} as const;
+
+// Sizes of the integers, by serial type (see https://www.sqlite.org/fileformat.html#record_format)
+const integerSizes = [0, 1, 2, 3, 4, 6, 8];
+
+/**
+ * Reads a variable-length integer, from 1 to 9 bytes
+ * @returns the value and the number of bytes read
+ */
+function readVarint(bytes: Uint8Array, pos: number): [number, number] {
+  let value = 0;
+
+  for (let i = 0; i < 8; i++) {
+    const byte = bytes[pos + i];
+    value = value * 128 + (byte & 0x7f);
+
+    if (!(byte & 0x80)) {
+      return [value, i + 1];
+    }
+  }
+
+  return [value * 256 + bytes[pos + 8], 9];
+}
+
+function readInteger(bytes: Uint8Array, pos: number, size: number): number {
+  let value = 0;
+
+  for (let i = 0; i < size; i++) {
+    value = value * 256 + bytes[pos + i];
+  }
+
+  // (two's complement)
+  return bytes[pos] & 0x80 ? value - Math.pow(2, 8 * size) : value;
+}
+
+/**
+ * Get the columns of a table, from the SQL statement that created it
+ */
+function getColumns(sql: string): Array<SQLiteColumn> {
+  const definitions: Array<string> = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of sql.slice(sql.indexOf("(") + 1, sql.lastIndexOf(")"))) {
+    if (char === "," && depth === 0) {
+      definitions.push(current);
+      current = "";
+      continue;
+    }
+
+    depth += char === "(" ? 1 : char === ")" ? -1 : 0;
+    current += char;
+  }
+
+  definitions.push(current);
+
+  return definitions
+    .map((definition) => definition.trim())
+    .filter(
+      (definition) =>
+        !/^(constraint|primary|unique|check|foreign)\b/i.test(definition)
+    )
+    .map((definition) => ({
+      name: definition
+        .split(/\s/)[0]
+        .replace(/["'`[\]]/g, "")
+        .toLowerCase(),
+      isRowid: /^\S+\s+integer\s+primary\s+key\b/i.test(definition),
+    }));
+}
+
+/**
+ * Minimal reader of the tables of a SQLite database, enough to read the tiles of an MBTiles archive
+ * (see https://www.sqlite.org/fileformat.html)
+ */
+class SQLiteDatabase {
+  private bytes: Uint8Array;
+  private view: DataView;
+  private pageSize: number;
+  private usableSize: number;
+  private schema: Array<SQLiteRow>;
+
+  constructor(buffer: ArrayBuffer) {
+    this.bytes = new Uint8Array(buffer);
+    this.view = new DataView(buffer);
+
+    if (
+      new TextDecoder().decode(this.bytes.subarray(0, 15)) !== "SQLite format 3"
+    ) {
+      throw new Error("The archive is not an MBTiles archive.");
+    }
+
+    const pageSize = this.view.getUint16(16);
+    this.pageSize = pageSize === 1 ? 65536 : pageSize;
+    this.usableSize = this.pageSize - this.bytes[20];
+
+    // The schema is the table of the first page
+    this.schema = this.readRows(
+      1,
+      ["type", "name", "tbl_name", "rootpage", "sql"].map((name) => ({
+        name,
+        isRowid: false,
+      }))
+    );
+  }
+
+  hasTable(name: string): boolean {
+    return this.schema.some((row) => row.type === "table" && row.name === name);
+  }
+
+  /**
+   * Get all the rows of a table, with their values by column name
+   */
+  getRows(name: string): Array<SQLiteRow> {
+    const table = this.schema.find(
+      (row) => row.type === "table" && row.name === name
+    );
+
+    if (!table) {
+      throw new Error(`The table "${name}" is not part of the database.`);
+    }
+
+    return this.readRows(
+      table.rootpage as number,
+      getColumns(table.sql as string)
+    );
+  }
+
+  private readRows(
+    rootPage: number,
+    columns: Array<SQLiteColumn>
+  ): Array<SQLiteRow> {
+    const rows: Array<SQLiteRow> = [];
+
+    this.readPage(rootPage, (rowid, values) => {
+      const row: SQLiteRow = {};
+
+      // (the columns added to the table after a row have no value in its record)
+      columns.forEach(
+        (column, i) =>
+          (row[column.name] = column.isRowid ? rowid : values[i] ?? null)
+      );
+      rows.push(row);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Reads the rows of a page of a table b-tree and of its child pages
+   */
+  private readPage(
+    page: number,
+    onRow: (rowid: number, values: Array<SQLiteValue>) => void
+  ) {
+    const pageOffset = (page - 1) * this.pageSize;
+    // (the first page starts with the header of the database)
+    const headerOffset = pageOffset + (page === 1 ? 100 : 0);
+    const pageType = this.bytes[headerOffset];
+    const cellCount = this.view.getUint16(headerOffset + 3);
+
+    if (
+      pageType !== PageType.LEAF_TABLE &&
+      pageType !== PageType.INTERIOR_TABLE
+    ) {
+      throw new Error("Only the tables with a rowid are supported.");
+    }
+
+    const isLeaf = pageType === PageType.LEAF_TABLE;
+    const cellPointersOffset = headerOffset + (isLeaf ? 8 : 12);
+
+    for (let i = 0; i < cellCount; i++) {
+      let pos = pageOffset + this.view.getUint16(cellPointersOffset + i * 2);
+
+      if (!isLeaf) {
+        this.readPage(this.view.getUint32(pos), onRow);
+        continue;
+      }
+
+      const [payloadSize, payloadSizeLength] = readVarint(this.bytes, pos);
+      pos += payloadSizeLength;
+      const [rowid, rowidLength] = readVarint(this.bytes, pos);
+      pos += rowidLength;
+
+      onRow(rowid, this.readRecord(this.readPayload(pos, payloadSize)));
+    }
+
+    // The right-most child of an interior page
+    if (!isLeaf) {
+      this.readPage(this.view.getUint32(headerOffset + 8), onRow);
+    }
+  }
+
+  /**
+   * Reads the payload of a cell, that continues in overflow pages when it is too big for the page
+   */
+  private readPayload(pos: number, size: number): Uint8Array {
+    const maxLocal = this.usableSize - 35;
+
+    if (size <= maxLocal) {
+      return this.bytes.subarray(pos, pos + size);
+    }
+
+    const minLocal = Math.floor(((this.usableSize - 12) * 32) / 255) - 23;
+    const local = minLocal + ((size - minLocal) % (this.usableSize - 4));
+    const localSize = local <= maxLocal ? local : minLocal;
+    const payload = new Uint8Array(size);
+    payload.set(this.bytes.subarray(pos, pos + localSize));
+
+    let copied = localSize;
+    let overflowPage = this.view.getUint32(pos + localSize);
+
+    while (copied < size && overflowPage) {
+      const overflowOffset = (overflowPage - 1) * this.pageSize;
+      const length = Math.min(size - copied, this.usableSize - 4);
+      payload.set(
+        this.bytes.subarray(overflowOffset + 4, overflowOffset + 4 + length),
+        copied
+      );
+      copied += length;
+      overflowPage = this.view.getUint32(overflowOffset);
+    }
+
+    return payload;
+  }
+
+  private readRecord(payload: Uint8Array): Array<SQLiteValue> {
+    const [headerSize, headerSizeLength] = readVarint(payload, 0);
+    const serialTypes: Array<number> = [];
+
+    for (let pos = headerSizeLength; pos < headerSize; ) {
+      const [serialType, length] = readVarint(payload, pos);
+      serialTypes.push(serialType);
+      pos += length;
+    }
+
+    let pos = headerSize;
+
+    return serialTypes.map((serialType) => {
+      if (serialType === 0) {
+        return null;
+      }
+
+      if (serialType <= 6) {
+        const size = integerSizes[serialType];
+        pos += size;
+        return readInteger(payload, pos - size, size);
+      }
+
+      if (serialType === 7) {
+        pos += 8;
+        return new DataView(
+          payload.buffer,
+          payload.byteOffset + pos - 8,
+          8
+        ).getFloat64(0);
+      }
+
+      if (serialType === 8 || serialType === 9) {
+        return serialType - 8;
+      }
+
+      // A blob for the even types, a text for the odd types
+      const length = Math.floor((serialType - 12) / 2);
+      const value = payload.subarray(pos, pos + length);
+      pos += length;
+      return serialType % 2 === 0 ? value : new TextDecoder().decode(value);
+    });
+  }
+}
+
+/**
+ * Reader of an MBTiles archive, a SQLite database. When the archive is a URL, the whole archive is fetched.
+ */
+export class MBTilesArchive implements TileArchive {
+  private data: TileArchiveData;
+  private database: Promise<SQLiteDatabase> | null = null;
+  private tiles: Promise<{ [key: string]: Uint8Array }> | null = null;
+
+  constructor(data: TileArchiveData) {
+    this.data = data;
+  }
+
+  private getDatabase(): Promise<SQLiteDatabase> {
+    if (!this.database) {
+      this.database = readArchive(this.data).then(
+        (buffer) => new SQLiteDatabase(buffer)
+      );
+    }
+
+    return this.database;
+  }
+
+  /**
+   * Get the tiles by `"z/x/y"`. The rows of an MBTiles archive are in the TMS scheme, from the south.
+   */
+  private getTiles(): Promise<{ [key: string]: Uint8Array }> {
+    if (!this.tiles) {
+      this.tiles = this.getDatabase().then((database) => {
+        const tiles: { [key: string]: Uint8Array } = {};
+        const addTile = (row: SQLiteRow, data: SQLiteValue) => {
+          const z = row.zoom_level as number;
+          const y = Math.pow(2, z) - 1 - (row.tile_row as number);
+          tiles[`${z}/${row.tile_column}/${y}`] = data as Uint8Array;
+        };
+
+        if (database.hasTable("tiles")) {
+          database
+            .getRows("tiles")
+            .forEach((row) => addTile(row, row.tile_data));
+          return tiles;
+        }
+
+        // In the deduplicated archives, "tiles" is a view joining the tables "map" and "images"
+        if (database.hasTable("map") && database.hasTable("images")) {
+          const images: { [tileId: string]: SQLiteValue } = {};
+          database
+            .getRows("images")
+            .forEach((row) => (images[row.tile_id as string] = row.tile_data));
+          database
+            .getRows("map")
+            .forEach((row) => addTile(row, images[row.tile_id as string]));
+          return tiles;
+        }
+
+        throw new Error("The MBTiles archive has no tiles.");
+      });
+    }
+
+    return this.tiles;
+  }
+
+  async getMetadata(): Promise<TileArchiveMetadata> {
+    const database = await this.getDatabase();
+    const values: { [name: string]: string } = {};
+
+    if (database.hasTable("metadata")) {
+      database
+        .getRows("metadata")
+        .forEach((row) => (values[row.name as string] = `${row.value ?? ""}`));
+    }
+
+    // Without them in the metadata, the zoom levels are the ones of the tiles
+    let { minzoom, maxzoom } = values;
+
+    if (minzoom === undefined || maxzoom === undefined) {
+      const zooms = Object.keys(await this.getTiles()).map((key) =>
+        parseInt(key)
+      );
+      minzoom = minzoom ?? Math.min(...zooms).toString();
+      maxzoom = maxzoom ?? Math.max(...zooms).toString();
+    }
+
+    const toNumbers = (value: string | undefined) =>
+      value?.split(",").map((n) => parseFloat(n));
+
+    return {
+      format: values.format ?? "pbf",
+      minzoom: parseInt(minzoom),
+      maxzoom: parseInt(maxzoom),
+      bounds: toNumbers(values.bounds) as TileArchiveMetadata["bounds"],
+      center: toNumbers(values.center) as TileArchiveMetadata["center"],
+      name: values.name,
+      attribution: values.attribution,
+      // (the vector layers are part of the JSON metadata)
+      vector_layers: values.json
+        ? JSON.parse(values.json).vector_layers
+        : undefined,
+    };
+  }
+
+  async getTile(z: number, x: number, y: number): Promise<ArrayBuffer | null> {
+    const tile = (await this.getTiles())[`${z}/${x}/${y}`];
+
+    if (!tile) {
+      return null;
+    }
+
+    // (a copy, since the tile is a part of the whole archive)
+    const data = tile.slice().buffer;
+
+    // The vector tiles are usually gzipped
+    return isGzipped(data) ? gunzip(data) : data;
+  }
+}
@@ -0,0 +1,343 @@
+import {
+  TileArchive,
+  TileArchiveData,
+  TileArchiveMetadata,
+  readArchiveBytes,
+  gunzip,
+} from "./tilearchive";
+
+// The header and, in most archives, the root directory are read together
+const initialReadLength = 16384;
+const headerLength = 127;
+
+// Leaf directories can point to other leaf directories, up to this depth
+const maxDirectoryDepth = 3;
+
+const Compression = {
+  UNKNOWN: 0,
+  NONE: 1,
+  GZIP: 2,
+} as const;
+
+const tileTypeFormats: { [tileType: number]: string } = {
+  1: "pbf",
+  2: "png",
+  3: "jpg",
+  4: "webp",
+  5: "avif",
+};
+
+type PMTilesHeader = {
+  rootDirectoryOffset: number;
+  rootDirectoryLength: number;
+  metadataOffset: number;
+  metadataLength: number;
+  leafDirectoryOffset: number;
+  tileDataOffset: number;
+  internalCompression: number;
+  tileCompression: number;
+  tileType: number;
+  minZoom: number;
+  maxZoom: number;
+  bounds: [number, number, number, number];
+  center: [number, number, number];
+};
+
+/**
+ * Entry of a directory: a run of tiles with the same content, or a leaf directory when `runLength` is `0`
+ */
+type DirectoryEntry = {
+  tileId: number;
+  offset: number;
+  length: number;
+  runLength: number;
+};
+
+function readUint64(view: DataView, offset: number): number {
+  return (
+    view.getUint32(offset, true) +
+    view.getUint32(offset + 4, true) * Math.pow(2, 32)
+  );
+}
+
+function parseHeader(buffer: ArrayBuffer): PMTilesHeader {
+  if (
+    buffer.byteLength < headerLength ||
+    String.fromCharCode(...new Uint8Array(buffer, 0, 7)) !== "PMTiles"
+  ) {
+    throw new Error("The archive is not a PMTiles archive.");
+  }
+
+  const view = new DataView(buffer);
+
+  if (view.getUint8(7) !== 3) {
+    throw new Error("Only the version 3 of PMTiles archives is supported.");
+  }
+
+  const e7 = (offset: number) => view.getInt32(offset, true) / 1e7;
+
+  return {
+    rootDirectoryOffset: readUint64(view, 8),
+    rootDirectoryLength: readUint64(view, 16),
+    metadataOffset: readUint64(view, 24),
+    metadataLength: readUint64(view, 32),
+    leafDirectoryOffset: readUint64(view, 40),
+    tileDataOffset: readUint64(view, 56),
+    internalCompression: view.getUint8(97),
+    tileCompression: view.getUint8(98),
+    tileType: view.getUint8(99),
+    minZoom: view.getUint8(100),
+    maxZoom: view.getUint8(101),
+    bounds: [e7(102), e7(106), e7(110), e7(114)],
+    center: [e7(119), e7(123), view.getUint8(118)],
+  };
+}
+
+function readVarint(bytes: Uint8Array, state: { pos: number }): number {
+  let value = 0;
+  let factor = 1;
+  let byte: number;
+
+  // (not with bitwise operators, since the values go beyond 32 bits)
+  do {
+    byte = bytes[state.pos++];
+    value += (byte & 0x7f) * factor;
+    factor *= 128;
+  } while (byte & 0x80);
+
+  return value;
+}
+
+function parseDirectory(buffer: ArrayBuffer): Array<DirectoryEntry> {
+  const bytes = new Uint8Array(buffer);
+  const state = { pos: 0 };
+  const count = readVarint(bytes, state);
+  const entries: Array<DirectoryEntry> = [];
+
+  // The columns of the entries follow each other, with the tile IDs as deltas
+  let tileId = 0;
+
+  for (let i = 0; i < count; i++) {
+    tileId += readVarint(bytes, state);
+    entries.push({ tileId, offset: 0, length: 0, runLength: 0 });
+  }
+
+  entries.forEach((entry) => (entry.runLength = readVarint(bytes, state)));
+  entries.forEach((entry) => (entry.length = readVarint(bytes, state)));
+
+  // An offset of 0 means that the content is right after the one of the previous entry
+  entries.forEach((entry, i) => {
+    const value = readVarint(bytes, state);
+    entry.offset =
+      value === 0 && i > 0
+        ? entries[i - 1].offset + entries[i - 1].length
+        : value - 1;
+  });
+
+  return entries;
+}
+
+/**
+ * Gets the ID of a tile: its position along the Hilbert curves of the successive zoom levels
+ */
+function zxyToTileId(z: number, x: number, y: number): number {
+  const n = Math.pow(2, z);
+  // (the tiles of the lower zoom levels come first)
+  let tileId = (Math.pow(4, z) - 1) / 3;
+
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = (x & s) > 0 ? 1 : 0;
+    const ry = (y & s) > 0 ? 1 : 0;
+    tileId += s * s * ((3 * rx) ^ ry);
+
+    if (ry === 0) {
+      if (rx === 1) {
+        x = n - 1 - x;
+        y = n - 1 - y;
+      }
+
+      [x, y] = [y, x];
+    }
+  }
+
+  return tileId;
+}
+
+/**
+ * Finds the entry of a directory that has a tile, or the leaf directory where to look for it
+ */
+function findEntry(
+  entries: Array<DirectoryEntry>,
+  tileId: number
+): DirectoryEntry | null {
+  let low = 0;
+  let high = entries.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const diff = tileId - entries[mid].tileId;
+
+    if (diff > 0) {
+      low = mid + 1;
+    } else if (diff < 0) {
+      high = mid - 1;
+    } else {
+      return entries[mid];
+    }
+  }
+
+  // The tile is then part of the entry before it, if this is a leaf directory or a run that includes it
+  const entry = entries[high];
+
+  if (
+    entry &&
+    (entry.runLength === 0 || tileId - entry.tileId < entry.runLength)
+  ) {
+    return entry;
+  }
+
+  return null;
+}
+
+function decompress(
+  buffer: ArrayBuffer,
+  compression: number
+): Promise<ArrayBuffer> {
+  if (compression === Compression.GZIP) {
+    return gunzip(buffer);
+  }
+
+  if (compression === Compression.NONE || compression === Compression.UNKNOWN) {
+    return Promise.resolve(buffer);
+  }
+
+  return Promise.reject(
+    new Error(
+      "Only the PMTiles archives with no compression or with gzip are supported."
+    )
+  );
+}
+
+/**
+ * Reader of a PMTiles archive (version 3). When the archive is a URL, only the parts that are needed are fetched.
+ */
+export class PMTilesArchive implements TileArchive {
+  private data: TileArchiveData;
+  private header: Promise<PMTilesHeader> | null = null;
+  private directories: { [key: string]: Promise<Array<DirectoryEntry>> } = {};
+
+  constructor(data: TileArchiveData) {
+    this.data = data;
+  }
+
+  private getHeader(): Promise<PMTilesHeader> {
+    if (!this.header) {
+      this.header = readArchiveBytes(this.data, 0, initialReadLength).then(
+        (buffer) => {
+          const header = parseHeader(buffer);
+          const { rootDirectoryOffset, rootDirectoryLength } = header;
+
+          if (rootDirectoryOffset + rootDirectoryLength <= buffer.byteLength) {
+            this.directories[`${rootDirectoryOffset}:${rootDirectoryLength}`] =
+              decompress(
+                buffer.slice(
+                  rootDirectoryOffset,
+                  rootDirectoryOffset + rootDirectoryLength
+                ),
+                header.internalCompression
+              ).then(parseDirectory);
+          }
+
+          return header;
+        }
+      );
+    }
+
+    return this.header;
+  }
+
+  private getDirectory(
+    offset: number,
+    length: number,
+    compression: number
+  ): Promise<Array<DirectoryEntry>> {
+    const key = `${offset}:${length}`;
+
+    if (!this.directories[key]) {
+      this.directories[key] = readArchiveBytes(this.data, offset, length)
+        .then((buffer) => decompress(buffer, compression))
+        .then(parseDirectory);
+    }
+
+    return this.directories[key];
+  }
+
+  async getMetadata(): Promise<TileArchiveMetadata> {
+    const header = await this.getHeader();
+    let metadata: Partial<TileArchiveMetadata> = {};
+
+    // The metadata of the archive itself, in JSON
+    if (header.metadataLength) {
+      const buffer = await readArchiveBytes(
+        this.data,
+        header.metadataOffset,
+        header.metadataLength
+      );
+      metadata = JSON.parse(
+        new TextDecoder().decode(
+          await decompress(buffer, header.internalCompression)
+        )
+      );
+    }
+
+    return {
+      format: tileTypeFormats[header.tileType] ?? "pbf",
+      minzoom: header.minZoom,
+      maxzoom: header.maxZoom,
+      bounds: header.bounds,
+      center: header.center,
+      name: metadata.name,
+      attribution: metadata.attribution,
+      vector_layers: metadata.vector_layers,
+    };
+  }
+
+  async getTile(z: number, x: number, y: number): Promise<ArrayBuffer | null> {
+    const header = await this.getHeader();
+
+    if (z < header.minZoom || z > header.maxZoom) {
+      return null;
+    }
+
+    const tileId = zxyToTileId(z, x, y);
+    let offset = header.rootDirectoryOffset;
+    let length = header.rootDirectoryLength;
+
+    for (let depth = 0; depth <= maxDirectoryDepth; depth++) {
+      const entries = await this.getDirectory(
+        offset,
+        length,
+        header.internalCompression
+      );
+      const entry = findEntry(entries, tileId);
+
+      if (!entry) {
+        return null;
+      }
+
+      if (entry.runLength > 0) {
+        const tile = await readArchiveBytes(
+          this.data,
+          header.tileDataOffset + entry.offset,
+          entry.length
+        );
+        return decompress(tile, header.tileCompression);
+      }
+
+      offset = header.leafDirectoryOffset + entry.offset;
+      length = entry.length;
+    }
+
+    throw new Error("The directories of the PMTiles archive are too deep.");
+  }
+}
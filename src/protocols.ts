@@ -0,0 +1,263 @@
+import maplibregl from "maplibre-gl";
+import type {
+  RequestParameters,
+  ResponseCallback,
+  Cancelable,
+} from "maplibre-gl";
+import { expandMapStyle } from "@maptiler/client";
+import { defaults } from "./defaults";
+import { config } from "./config";
+import { fetchRequest, toMaptilerRequestURL } from "./requests";
+import {
+  TileArchive,
+  TileArchiveData,
+  TileArchiveMetadata,
+} from "./tilearchive";
+import { PMTilesArchive } from "./pmtiles";
+import { MBTilesArchive } from "./mbtiles";
+
+/**
+ * Creates a handler for `maplibregl.addProtocol()` from a function that loads a resource.
+ * The resource is given to Maplibre as JSON, as a string or as an ArrayBuffer, depending on the request,
+ * and an object is given as it is.
+ * @param load
+ * @returns
+ */
+export function createProtocolHandler(
+  load: (requestParameters: RequestParameters) => Promise<ArrayBuffer | object>
+) {
+  return (
+    requestParameters: RequestParameters,
+    callback: ResponseCallback<unknown>
+  ): Cancelable => {
+    let cancelled = false;
+
+    load(requestParameters)
+      .then((data) => {
+        if (cancelled) {
+          return;
+        }
+
+        if (!(data instanceof ArrayBuffer)) {
+          callback(null, data);
+        } else if (requestParameters.type === "json") {
+          callback(null, JSON.parse(new TextDecoder().decode(data)));
+        } else if (requestParameters.type === "string") {
+          callback(null, new TextDecoder().decode(data));
+        } else {
+          callback(null, data);
+        }
+      })
+      .catch((e) => {
+        if (!cancelled) {
+          callback(e);
+        }
+      });
+
+    return {
+      cancel: () => {
+        cancelled = true;
+      },
+    };
+  };
+}
+
+/**
+ * Resolves a URL of the `maptiler://` protocol to a MapTiler Cloud URL:
+ * - with a style ID only, to the style (eg. `maptiler://streets-v2` is `https://api.maptiler.com/maps/streets-v2/style.json`)
+ * - with a path, to this path (eg. `maptiler://tiles/v3/tiles.json` is `https://api.maptiler.com/tiles/v3/tiles.json`)
+ *
+ * Other URLs are returned unchanged.
+ * @param url
+ * @returns
+ */
+export function resolveMaptilerProtocolURL(url: string): string {
+  const prefix = `${defaults.maptilerProtocol}://`;
+
+  if (!url.startsWith(prefix)) {
+    return url;
+  }
+
+  const path = url.slice(prefix.length);
+
+  return /^[\w-]+$/.test(path)
+    ? expandMapStyle(url)
+    : `https://${defaults.maptilerApiHost}/${path}`;
+}
+
+// The maps of the SDK resolve these URLs with their own config before making the requests,
+// so this handler is for the other requests (eg. the ones of a MapLibre map)
+const maptilerProtocolHandler = createProtocolHandler(
+  async (requestParameters) => {
+    const url = toMaptilerRequestURL(
+      resolveMaptilerProtocolURL(requestParameters.url),
+      config
+    );
+    const headers = requestParameters.headers;
+
+    if (config.cache) {
+      return (await config.cache.fetch(url, headers)).data;
+    }
+
+    const res = await fetch(url, { headers });
+
+    if (!res.ok) {
+      throw new Error(
+        `The resource ${requestParameters.url} could not be fetched (HTTP status ${res.status}).`
+      );
+    }
+
+    return res.arrayBuffer();
+  }
+);
+
+const tileArchiveData: { [name: string]: TileArchiveData } = {};
+const tileArchives: { [url: string]: TileArchive } = {};
+
+/**
+ * Get the reader of an archive, given by its name (see `addTileArchive()`) or by its URL
+ */
+function getTileArchive(protocol: string, location: string): TileArchive {
+  const key = `${protocol}://${location}`;
+
+  if (!tileArchives[key]) {
+    const data = tileArchiveData[location] ?? location;
+
+    tileArchives[key] =
+      protocol === defaults.pmtilesProtocol
+        ? new PMTilesArchive(data)
+        : new MBTilesArchive(data);
+  }
+
+  return tileArchives[key];
+}
+
+function toTileJSON(metadata: TileArchiveMetadata, tilesURL: string) {
+  return {
+    tilejson: "3.0.0",
+    scheme: "xyz",
+    tiles: [tilesURL],
+    minzoom: metadata.minzoom,
+    maxzoom: metadata.maxzoom,
+    bounds: metadata.bounds,
+    center: metadata.center,
+    name: metadata.name,
+    attribution: metadata.attribution,
+    vector_layers: metadata.vector_layers,
+  };
+}
+
+/**
+ * Reads a resource of a tile archive from its URL:
+ * - the TileJSON of the archive, for `<protocol>://<archive>`, to use as the URL of a source
+ * - its tiles, for `<protocol>://<archive>/{z}/{x}/{y}`
+ */
+async function loadTileArchiveResource(
+  protocol: string,
+  url: string
+): Promise<ArrayBuffer | object> {
+  const location = url.slice(`${protocol}://`.length);
+  const tileMatch = /^(.+)\/(\d+)\/(\d+)\/(\d+)$/.exec(location);
+
+  if (!tileMatch) {
+    const metadata = await getTileArchive(protocol, location).getMetadata();
+    return toTileJSON(metadata, `${protocol}://${location}/{z}/{x}/{y}`);
+  }
+
+  const archive = getTileArchive(protocol, tileMatch[1]);
+  const tile = await archive.getTile(
+    parseInt(tileMatch[2]),
+    parseInt(tileMatch[3]),
+    parseInt(tileMatch[4])
+  );
+
+  if (tile) {
+    return tile;
+  }
+
+  // A missing vector tile is empty, while a missing image is not found, as with a tile server
+  if ((await archive.getMetadata()).format === "pbf") {
+    return new ArrayBuffer(0);
+  }
+
+  throw new Error(`The tile ${url} is not in the archive.`);
+}
+
+/**
+ * Creates the handler of a tile archive protocol (see `loadTileArchiveResource()`)
+ */
+function createTileArchiveProtocolHandler(protocol: string) {
+  return createProtocolHandler((requestParameters) =>
+    loadTileArchiveResource(protocol, requestParameters.url)
+  );
+}
+
+/**
+ * Fetches a request made by the SDK itself (not by Maplibre), reading the URLs of the tile archives
+ * (`pmtiles://` and `mbtiles://`) as their protocols do. Other URLs are fetched from the network.
+ * (the `maptiler://` URLs are resolved beforehand by the maps, with their config)
+ * @param request
+ * @returns
+ */
+export async function fetchProtocolRequest(
+  request: RequestParameters
+): Promise<Response> {
+  const protocol = [defaults.pmtilesProtocol, defaults.mbtilesProtocol].find(
+    (p) => request.url.startsWith(`${p}://`)
+  );
+
+  if (!protocol) {
+    return fetchRequest(request);
+  }
+
+  const data = await loadTileArchiveResource(protocol, request.url);
+
+  return new Response(
+    data instanceof ArrayBuffer ? data : JSON.stringify(data)
+  );
+}
+
+let areProtocolsRegistered = false;
+
+/**
+ * Registers the protocols `maptiler://`, `pmtiles://` and `mbtiles://` (happens only once)
+ */
+export function registerProtocols() {
+  if (areProtocolsRegistered) {
+    return;
+  }
+
+  maplibregl.addProtocol(defaults.maptilerProtocol, maptilerProtocolHandler);
+  maplibregl.addProtocol(
+    defaults.pmtilesProtocol,
+    createTileArchiveProtocolHandler(defaults.pmtilesProtocol)
+  );
+  maplibregl.addProtocol(
+    defaults.mbtilesProtocol,
+    createTileArchiveProtocolHandler(defaults.mbtilesProtocol)
+  );
+  areProtocolsRegistered = true;
+}
+
+/**
+ * Makes a PMTiles or MBTiles archive available under a name, to serve its tiles without a tile server.
+ * The archive is then the source URL `"pmtiles://<name>"` or `"mbtiles://<name>"`, depending on its type.
+ * (an archive can also be given directly by its URL, eg. `"pmtiles://https://example.com/tiles.pmtiles"`)
+ * @param name
+ * @param data the content of the archive, or its URL
+ */
+export function addTileArchive(name: string, data: TileArchiveData) {
+  registerProtocols();
+  removeTileArchive(name);
+  tileArchiveData[name] = data;
+}
+
+/**
+ * Removes an archive added with `addTileArchive()`
+ * @param name
+ */
+export function removeTileArchive(name: string) {
+  delete tileArchiveData[name];
+  delete tileArchives[`${defaults.pmtilesProtocol}://${name}`];
+  delete tileArchives[`${defaults.mbtilesProtocol}://${name}`];
+}
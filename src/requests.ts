@@ -0,0 +1,165 @@
+import type { RequestParameters, ResourceType } from "maplibre-gl";
+import { v4 as uuidv4 } from "uuid";
+import { config, SdkConfig } from "./config";
+import { defaults } from "./defaults";
+import { rewriteURLHost } from "./tools";
+
+export const MAPTILER_SESSION_ID = uuidv4();
+
+/**
+ * A request interceptor receives the parameters of a request made by a map (URL, headers, etc.)
+ * and can return modified parameters. Returning nothing keeps the request unchanged.
+ * The type of resource (`"Style"`, `"Tile"`, `"Glyphs"`, etc.) is provided when known.
+ */
+export type RequestInterceptor = (
+  request: RequestParameters,
+  resourceType?: ResourceType
+) => RequestParameters | void;
+
+/**
+ * Gives the parameters of a request from its URL, the way a map makes it
+ * (built-in MapTiler logic, then the interceptors).
+ */
+export type RequestTransformer = (
+  url: string,
+  resourceType?: ResourceType
+) => RequestParameters;
+
+/**
+ * Passes a request through a chain of interceptors, in order.
+ * Each interceptor receives the request as modified by the previous ones.
+ * @param request
+ * @param resourceType
+ * @param interceptors
+ * @returns
+ */
+export function applyRequestInterceptors(
+  request: RequestParameters,
+  resourceType: ResourceType | undefined,
+  interceptors: Array<RequestInterceptor>
+): RequestParameters {
+  return interceptors.reduce(
+    (currentRequest, interceptor) =>
+      interceptor(
+        { ...currentRequest, headers: { ...currentRequest.headers } },
+        resourceType
+      ) || currentRequest,
+    request
+  );
+}
+
+/**
+ * Fetches a request made by the SDK itself (not by Maplibre), with its parameters as given by the interceptors
+ * @param request
+ * @returns
+ */
+export function fetchRequest(request: RequestParameters): Promise<Response> {
+  return fetch(request.url, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    credentials: request.credentials,
+  });
+}
+
+/**
+ * Checks if a URL points to MapTiler Cloud, or to the API URL that replaces it (`config.apiURL`)
+ * @param url
+ * @param sdkConfig config of the map making the request (default: the global config)
+ * @returns
+ */
+export function isMaptilerURL(
+  url: string,
+  sdkConfig: SdkConfig = config
+): boolean {
+  try {
+    const reqUrl = new URL(url);
+
+    return (
+      reqUrl.host === defaults.maptilerApiHost ||
+      (!!sdkConfig.apiURL && reqUrl.href.startsWith(sdkConfig.apiURL))
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Removes the credentials (API key and session ID) from a MapTiler Cloud URL, so that it can be shared.
+ * Other URLs and the strings that are not URLs (eg. style IDs) are returned unchanged.
+ * @param url
+ * @param sdkConfig config of the map (default: the global config)
+ * @returns
+ */
+export function withoutCredentials(
+  url: string,
+  sdkConfig: SdkConfig = config
+): string {
+  if (!isMaptilerURL(url, sdkConfig)) {
+    return url;
+  }
+
+  const shareableUrl = new URL(url);
+  shareableUrl.searchParams.delete("key");
+  shareableUrl.searchParams.delete("mtsid");
+  return shareableUrl.href;
+}
+
+/**
+ * Rewrites the MapTiler Cloud and MapTiler CDN URLs to the base URLs that replace them
+ * (`config.apiURL` and `config.cdnURL`), if any. Other URLs are returned unchanged.
+ * @param url
+ * @param sdkConfig config of the map making the request (default: the global config)
+ * @returns
+ */
+export function toMaptilerURL(
+  url: string,
+  sdkConfig: SdkConfig = config
+): string {
+  if (sdkConfig.apiURL) {
+    url = rewriteURLHost(url, defaults.maptilerApiHost, sdkConfig.apiURL);
+  }
+
+  if (sdkConfig.cdnURL) {
+    url = rewriteURLHost(url, defaults.maptilerCdnHost, sdkConfig.cdnURL);
+  }
+
+  return url;
+}
+
+/**
+ * Prepares the URL of a request to MapTiler Cloud, with the session ID and the API key.
+ * When the API URL is replaced (`config.apiURL`), the URL is rewritten and the API key is never added,
+ * it is up to the server behind the API URL. Other URLs are returned unchanged.
+ * @param url
+ * @param sdkConfig config of the map making the request (default: the global config)
+ * @returns
+ */
+export function toMaptilerRequestURL(
+  url: string,
+  sdkConfig: SdkConfig = config
+): string {
+  let reqUrl: URL;
+
+  try {
+    reqUrl = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  if (reqUrl.host !== defaults.maptilerApiHost) {
+    return url;
+  }
+
+  if (sdkConfig.apiURL) {
+    reqUrl.searchParams.delete("key");
+  } else if (!reqUrl.searchParams.has("key")) {
+    reqUrl.searchParams.append("key", sdkConfig.apiKey);
+  }
+
+  if (sdkConfig.session && !reqUrl.searchParams.has("mtsid")) {
+    reqUrl.searchParams.append("mtsid", MAPTILER_SESSION_ID);
+  }
+
+  return toMaptilerURL(reqUrl.href, sdkConfig);
+}
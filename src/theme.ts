@@ -0,0 +1,301 @@
+import { AnchorLayer, isLayerInGroup } from "./mapstyle";
+
+/**
+ * Colors and color transformation applied to the paint properties of a style.
+ *
+ * The colors of a group of layers take the hue and saturation of the color given for the group,
+ * while keeping their own lightness and opacity, so that the variations of the style remain
+ * (eg. major and minor roads, text and halo of the labels).
+ *
+ * The hue, saturation and lightness transformation applies to the colors of the layers that are
+ * not part of one of these groups.
+ */
+export type MapTheme = {
+  background?: string;
+  land?: string;
+  water?: string;
+  roads?: string;
+  buildings?: string;
+  boundaries?: string;
+  labels?: string;
+
+  /**
+   * Rotation of the hue, in degrees
+   */
+  hue?: number;
+
+  /**
+   * Change of the saturation, from `-1` (grayscale) to `1` (fully saturated). (default: `0`)
+   */
+  saturation?: number;
+
+  /**
+   * Change of the lightness, from `-1` (black) to `1` (white). (default: `0`)
+   */
+  lightness?: number;
+};
+
+/**
+ * Groups of layers (see `LayerAnchor`) colored by each color of a theme
+ */
+const themeGroups: { [key in keyof MapTheme]?: string } = {
+  background: "background",
+  land: "landcover",
+  water: "water",
+  roads: "roads",
+  buildings: "buildings",
+  boundaries: "boundaries",
+  labels: "labels",
+};
+
+type HSLA = { h: number; s: number; l: number; a: number };
+
+type ColorTransform = (color: HSLA) => HSLA;
+
+// The named colors are not listed, except the ones that are common in styles
+const namedColors: { [name: string]: string } = {
+  black: "#000000",
+  white: "#ffffff",
+  transparent: "rgba(0, 0, 0, 0)",
+};
+
+const hexColorRegex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const functionalColorRegex = /^(rgba?|hsla?)\(([^)]*)\)$/i;
+
+function rgbToHsla(r: number, g: number, b: number, a: number): HSLA {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  if (d === 0) {
+    return { h: 0, s: 0, l, a };
+  }
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h: number;
+
+  if (max === r) {
+    h = ((g - b) / d + 6) % 6;
+  } else if (max === g) {
+    h = (b - r) / d + 2;
+  } else {
+    h = (r - g) / d + 4;
+  }
+
+  return { h: h * 60, s, l, a };
+}
+
+/**
+ * Parses a color in the hex, `rgb()`, `rgba()`, `hsl()` or `hsla()` notation.
+ * Returns `null` if the string is not a color.
+ */
+function parseColor(str: string): HSLA | null {
+  const color = namedColors[str.trim().toLowerCase()] ?? str.trim();
+
+  if (hexColorRegex.test(color)) {
+    let hex = color.slice(1);
+
+    if (hex.length <= 4) {
+      hex = hex
+        .split("")
+        .map((c) => c + c)
+        .join("");
+    }
+
+    const channel = (i: number) =>
+      parseInt(hex.slice(i * 2, i * 2 + 2), 16) / 255;
+    return rgbToHsla(
+      channel(0),
+      channel(1),
+      channel(2),
+      hex.length === 8 ? channel(3) : 1
+    );
+  }
+
+  const match = functionalColorRegex.exec(color);
+
+  if (!match) {
+    return null;
+  }
+
+  const args = match[2].split(/[\s,/]+/).filter((arg) => arg);
+
+  if (args.length < 3 || args.some((arg) => isNaN(parseFloat(arg)))) {
+    return null;
+  }
+
+  // A percentage, or a number within the given range
+  const value = (arg: string, range: number) =>
+    arg.endsWith("%") ? parseFloat(arg) / 100 : parseFloat(arg) / range;
+  const a = args.length > 3 ? value(args[3], 1) : 1;
+
+  if (match[1].toLowerCase().startsWith("rgb")) {
+    return rgbToHsla(
+      value(args[0], 255),
+      value(args[1], 255),
+      value(args[2], 255),
+      a
+    );
+  }
+
+  return {
+    h: parseFloat(args[0]),
+    s: value(args[1], 100),
+    l: value(args[2], 100),
+    a,
+  };
+}
+
+function formatColor({ h, s, l, a }: HSLA): string {
+  const round = (v: number, decimals = 1) =>
+    Math.round(v * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+  return `hsla(${round(h)}, ${round(s * 100)}%, ${round(l * 100)}%, ${round(
+    a,
+    3
+  )})`;
+}
+
+/**
+ * Moves a value between 0 and 1 toward 0 (negative change) or 1 (positive change)
+ */
+function shift(value: number, change: number): number {
+  return change >= 0 ? value + (1 - value) * change : value * (1 + change);
+}
+
+// Operators whose arguments are not colors, but data to compare or look up
+const nonColorOperators = new Set([
+  "get",
+  "has",
+  "in",
+  "index-of",
+  "slice",
+  "length",
+  "==",
+  "!=",
+  "<",
+  "<=",
+  ">",
+  ">=",
+  "!",
+  "all",
+  "any",
+  "zoom",
+  "geometry-type",
+  "feature-state",
+]);
+
+/**
+ * Transforms the colors of a paint property value: a color, a legacy function with stops
+ * or an expression (eg. `interpolate`, `step`, `match`, `case`)
+ */
+function transformColorValue(
+  value: unknown,
+  transform: ColorTransform
+): unknown {
+  if (typeof value === "string") {
+    const color = parseColor(value);
+    return color ? formatColor(transform(color)) : value;
+  }
+
+  if (Array.isArray(value)) {
+    const operator = value[0];
+
+    if (typeof operator !== "string" || nonColorOperators.has(operator)) {
+      return value;
+    }
+
+    return value.map((arg, i) => {
+      // The labels of a match are values of the data (all the arguments but the input, the outputs and the fallback)
+      const isMatchLabel =
+        operator === "match" && i >= 2 && i % 2 === 0 && i < value.length - 1;
+
+      return i === 0 || isMatchLabel
+        ? arg
+        : transformColorValue(arg, transform);
+    });
+  }
+
+  // Legacy function, with zoom or property stops
+  if (value && typeof value === "object" && "stops" in value) {
+    const fn = value as { stops: Array<[unknown, unknown]> };
+
+    return {
+      ...fn,
+      stops: fn.stops.map(([input, output]) => [
+        input,
+        transformColorValue(output, transform),
+      ]),
+    };
+  }
+
+  return value;
+}
+
+/**
+ * Finds how the colors of a layer are transformed by a theme, or `null` if they are not
+ */
+function getLayerColorTransform(
+  layer: AnchorLayer,
+  theme: MapTheme
+): ColorTransform | null {
+  const themeKey = (Object.keys(themeGroups) as Array<keyof MapTheme>).find(
+    (key) => theme[key] !== undefined && isLayerInGroup(layer, themeGroups[key])
+  );
+
+  if (themeKey) {
+    const target = parseColor(theme[themeKey] as string);
+
+    if (!target) {
+      return null;
+    }
+
+    return (color) => ({ ...color, h: target.h, s: target.s });
+  }
+
+  const { hue = 0, saturation = 0, lightness = 0 } = theme;
+
+  if (!hue && !saturation && !lightness) {
+    return null;
+  }
+
+  return (color) => ({
+    h: (((color.h + hue) % 360) + 360) % 360,
+    s: shift(color.s, saturation),
+    l: shift(color.l, lightness),
+    a: color.a,
+  });
+}
+
+/**
+ * Computes the color paint properties of a layer that are changed by a theme
+ * @param layer the layer, with its paint properties
+ * @param theme
+ * @returns the new value of each changed paint property
+ */
+export function getThemedPaint(
+  layer: AnchorLayer & { paint?: { [property: string]: unknown } },
+  theme: MapTheme
+): { [property: string]: unknown } {
+  const transform = getLayerColorTransform(layer, theme);
+  const themedPaint: { [property: string]: unknown } = {};
+
+  if (!transform || !layer.paint) {
+    return themedPaint;
+  }
+
+  Object.keys(layer.paint).forEach((property) => {
+    if (!property.endsWith("-color")) {
+      return;
+    }
+
+    const value = transformColorValue(layer.paint[property], transform);
+
+    if (JSON.stringify(value) !== JSON.stringify(layer.paint[property])) {
+      themedPaint[property] = value;
+    }
+  });
+
+  return themedPaint;
+}
@@ -0,0 +1,105 @@
+/**
+ * A tile archive (PMTiles or MBTiles), given by its URL or its content
+ */
+export type TileArchiveData = string | ArrayBuffer;
+
+/**
+ * Metadata of a tile archive, with the properties of a TileJSON
+ */
+export type TileArchiveMetadata = {
+  /**
+   * Format of the tiles: `"pbf"` for vector tiles, `"png"`, `"jpg"`, `"webp"` or `"avif"` for raster tiles
+   */
+  format: string;
+  minzoom: number;
+  maxzoom: number;
+  bounds?: [number, number, number, number];
+  center?: [number, number, number];
+  name?: string;
+  attribution?: string;
+  vector_layers?: Array<unknown>;
+};
+
+/**
+ * Reader of the tiles of an archive
+ */
+export interface TileArchive {
+  getMetadata(): Promise<TileArchiveMetadata>;
+
+  /**
+   * Get the content of a tile, uncompressed, or `null` if the archive does not have it
+   */
+  getTile(z: number, x: number, y: number): Promise<ArrayBuffer | null>;
+}
+
+/**
+ * Reads some bytes of an archive. When the archive is a URL, only these bytes are fetched with an HTTP range request.
+ * @param data
+ * @param offset
+ * @param length
+ * @returns
+ */
+export async function readArchiveBytes(
+  data: TileArchiveData,
+  offset: number,
+  length: number
+): Promise<ArrayBuffer> {
+  if (typeof data !== "string") {
+    return data.slice(offset, offset + length);
+  }
+
+  const res = await fetch(data, {
+    headers: { Range: `bytes=${offset}-${offset + length - 1}` },
+  });
+
+  if (!res.ok) {
+    throw new Error(
+      `The archive ${data} could not be fetched (HTTP status ${res.status}).`
+    );
+  }
+
+  const buffer = await res.arrayBuffer();
+
+  // A server that does not support range requests sends the whole archive
+  return res.status === 206 ? buffer : buffer.slice(offset, offset + length);
+}
+
+/**
+ * Reads a whole archive
+ * @param data
+ * @returns
+ */
+export async function readArchive(data: TileArchiveData): Promise<ArrayBuffer> {
+  if (typeof data !== "string") {
+    return data;
+  }
+
+  const res = await fetch(data);
+
+  if (!res.ok) {
+    throw new Error(
+      `The archive ${data} could not be fetched (HTTP status ${res.status}).`
+    );
+  }
+
+  return res.arrayBuffer();
+}
+
+/**
+ * Checks if some data starts with the signature of gzip
+ */
+export function isGzipped(data: ArrayBuffer): boolean {
+  const bytes = new Uint8Array(data, 0, Math.min(2, data.byteLength));
+  return bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Decompresses gzipped data, with the decompression stream of the browser
+ */
+export function gunzip(data: ArrayBuffer): Promise<ArrayBuffer> {
+  const stream = new Blob([data])
+    .stream()
+    .pipeThrough(new DecompressionStream("gzip"));
+
+  return new Response(stream).arrayBuffer();
+}
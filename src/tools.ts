@@ -1,11 +1,11 @@
 import maplibregl from "maplibre-gl";
 import { defaults } from "./defaults";
 
-export function enableRTL() {
+export function enableRTL(pluginURL: string = defaults.rtlPluginURL) {
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   if (maplibregl.getRTLTextPluginStatus() === "unavailable") {
     maplibregl.setRTLTextPlugin(
-      defaults.rtlPluginURL,
+      pluginURL,
       null,
       true // Lazy load the plugin
     );
@@ -43,3 +43,64 @@ export function DOMremove(node: HTMLElement) {
     node.parentNode.removeChild(node);
   }
 }
+
+// This comes from:
+// https://github.com/maplibre/maplibre-gl-js/blob/v2.4.0/src/util/throttle.ts
+export function throttle(
+  fn: () => void,
+  time: number
+): () => ReturnType<typeof setTimeout> {
+  let pending = false;
+  let timerId: ReturnType<typeof setTimeout> = null;
+
+  const later = () => {
+    timerId = null;
+    if (pending) {
+      fn();
+      timerId = setTimeout(later, time);
+      pending = false;
+    }
+  };
+
+  return () => {
+    pending = true;
+    if (!timerId) {
+      later();
+    }
+    return timerId;
+  };
+}
+
+/**
+ * Rewrites a URL on the given host so that it points to another base URL, keeping the path and the query.
+ * Eg. `"https://api.maptiler.com/maps/streets/style.json"` with the base URL `"https://example.com/maptiler/"`
+ * becomes `"https://example.com/maptiler/maps/streets/style.json"`.
+ * The URLs on other hosts and the relative URLs are returned unchanged.
+ * @param url
+ * @param host
+ * @param baseURL
+ * @returns
+ */
+export function rewriteURLHost(
+  url: string,
+  host: string,
+  baseURL: string
+): string {
+  let reqUrl: URL;
+
+  try {
+    reqUrl = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  if (reqUrl.host !== host) {
+    return url;
+  }
+
+  const base = baseURL.endsWith("/") ? baseURL : `${baseURL}/`;
+  return new URL(
+    `${reqUrl.pathname.slice(1)}${reqUrl.search}${reqUrl.hash}`,
+    base
+  ).href;
+}